@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+// scripts/test-concurrency.js
+// `npm test`: the guarantees that only hold across processes, checked with
+// real processes against a throwaway instance in the temp directory:
+//  - two processes enqueuing the same idempotency keys create one job per key
+//  - two workers never run more jobs of a concurrency key than its limit
+//  - the reaper requeues a job whose worker died once its lease expires
+//  - a rate limit admits no more jobs than its bucket holds
+//
+// Run as `test-concurrency.js enqueue <count>`, this file is the enqueuing child.
+const assert = require("assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { fork, spawn } = require("child_process");
+
+const WORKER = path.join(__dirname, "../src/worker/child.js");
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Poll `check` until it returns true; fails after `timeoutMs`
+async function waitFor(what, check, timeoutMs = 20000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for ${what}`);
+    await sleep(20);
+  }
+}
+
+function exited(child) {
+  return new Promise((resolve) => {
+    if (child.exitCode !== null || child.signalCode !== null) resolve();
+    else child.once("exit", resolve);
+  });
+}
+
+// A worker process (src/worker/child.js) on `queue` of the test instance
+const workers = new Set();
+function startWorker(queue) {
+  const child = spawn(process.execPath, [WORKER], {
+    env: { ...process.env, WORKER_QUEUES: queue },
+    stdio: ["ignore", "ignore", "inherit"],
+  });
+  workers.add(child);
+  child.once("exit", () => workers.delete(child));
+  return child;
+}
+
+async function stopWorkers(signal = "SIGTERM") {
+  const running = [...workers];
+  running.forEach((child) => child.kill(signal));
+  await Promise.all(running.map(exited));
+}
+
+async function testIdempotency(db) {
+  const keys = 50;
+  const children = [0, 1].map(() => fork(__filename, ["enqueue", String(keys)], { stdio: "inherit" }));
+  const results = await new Promise((resolve, reject) => {
+    const done = [];
+    let ready = 0;
+    for (const child of children) {
+      child.on("message", (msg) => {
+        // Both start at once, so their enqueues of each key race
+        if (msg.ready && ++ready === children.length) children.forEach((c) => c.send({ go: true }));
+        if (msg.done && done.push(msg) === children.length) resolve(done);
+      });
+      child.on("exit", (code) => {
+        if (code !== 0) reject(new Error(`Enqueue process exited with code ${code}`));
+      });
+    }
+  });
+  await Promise.all(children.map(exited));
+
+  const rows = db.prepare("SELECT idempotency_key, COUNT(*) AS c FROM jobs WHERE queue = 'idem' GROUP BY 1").all();
+  assert.equal(rows.length, keys);
+  assert.ok(rows.every((r) => r.c === 1), "a key was enqueued twice");
+  assert.equal(results.reduce((sum, r) => sum + r.inserted, 0), keys);
+  assert.equal(results.reduce((sum, r) => sum + r.duplicates, 0), keys);
+  console.log(`✅ idempotency: ${keys} keys enqueued by 2 processes → ${keys} jobs`);
+}
+
+async function testConcurrencyLimit(db, { insertJob, setConfig }) {
+  setConfig("concurrency-limit.shared", "1");
+  for (let i = 0; i < 3; i++) insertJob({ command: "sleep 0.3", queue: "limited", concurrency_key: "shared" });
+  startWorker("limited");
+  startWorker("limited");
+
+  const count = (state) =>
+    db.prepare("SELECT COUNT(*) AS c FROM jobs WHERE queue = 'limited' AND state = ?").get(state).c;
+  let maxProcessing = 0;
+  await waitFor("the limited jobs to complete", () => {
+    maxProcessing = Math.max(maxProcessing, count("processing"));
+    return count("completed") === 3;
+  });
+  await stopWorkers();
+
+  assert.equal(maxProcessing, 1, `${maxProcessing} jobs of concurrency key 'shared' ran at once (limit 1)`);
+  console.log("✅ concurrency limit: 3 jobs over 2 workers, never more than 1 processing");
+}
+
+async function testReaper(db, { insertJob, setConfig, reapExpiredLeases }) {
+  setConfig("lease-duration", "1");
+  const job = insertJob({ command: "sleep 2", queue: "lost" });
+  const worker = startWorker("lost");
+  const state = () => db.prepare("SELECT state, attempts FROM jobs WHERE id = ?").get(job.id);
+  await waitFor("the job to be claimed", () => state().state === "processing");
+
+  // A killed worker can neither finish the job nor renew its lease
+  worker.kill("SIGKILL");
+  await exited(worker);
+  assert.equal(reapExpiredLeases(db, new Date().toISOString()).requeued, 0, "a live lease was reaped");
+  await sleep(1500);
+  assert.equal(reapExpiredLeases(db, new Date().toISOString()).requeued, 1);
+
+  assert.deepEqual(state(), { state: "pending", attempts: 1 });
+  const attempt = db.prepare("SELECT outcome FROM job_attempts WHERE job_id = ?").get(job.id);
+  assert.equal(attempt.outcome, "lost");
+  console.log("✅ reaper: a job whose worker was killed is pending again once its lease expires");
+}
+
+async function testRateLimit(db, { insertJob, setConfig }) {
+  setConfig("rate-limit.key.api", "2/m");
+  for (let i = 0; i < 5; i++) insertJob({ command: "true", queue: "rated", concurrency_key: "api" });
+  startWorker("rated");
+  startWorker("rated");
+
+  const count = (state) =>
+    db.prepare("SELECT COUNT(*) AS c FROM jobs WHERE queue = 'rated' AND state = ?").get(state).c;
+  await waitFor("the admitted jobs to complete", () => count("completed") === 2);
+  // Long enough for both workers to try again (they poll at least every 2s)
+  await sleep(2500);
+  await stopWorkers();
+
+  assert.equal(count("completed"), 2, "the rate limit admitted more jobs than its bucket holds");
+  assert.equal(count("pending"), 3);
+  console.log("✅ rate limit: 2/m admitted 2 of 5 jobs across 2 workers");
+}
+
+async function main() {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), "queuectl-test-"));
+  // Inherited by every child, so all of them use the throwaway instance
+  for (const name of ["QUEUECTL_DB", "QUEUECTL_PROFILE", "QUEUECTL_LOG_DIR"]) delete process.env[name];
+  process.env.QUEUECTL_HOME = home;
+
+  const { getDb, closeDb } = require("../src/db/database");
+  const { insertJob, reapExpiredLeases } = require("../src/storage/jobs");
+  const { setConfig } = require("../src/storage/config");
+  const db = getDb();
+  const api = { insertJob, setConfig, reapExpiredLeases };
+
+  try {
+    await testIdempotency(db);
+    await testConcurrencyLimit(db, api);
+    await testReaper(db, api);
+    await testRateLimit(db, api);
+  } finally {
+    await stopWorkers("SIGKILL");
+    closeDb();
+    fs.rmSync(home, { recursive: true, force: true });
+  }
+}
+
+function runChild(count) {
+  const { insertJob, validateJobInput } = require("../src/storage/jobs");
+  process.on("message", (msg) => {
+    if (!msg.go) return;
+    const result = { done: true, inserted: 0, duplicates: 0 };
+    for (let i = 0; i < count; i++) {
+      const job = insertJob(validateJobInput({ command: "true", queue: "idem", idempotency_key: `key-${i}` }));
+      result[job.duplicate ? "duplicates" : "inserted"]++;
+    }
+    process.send(result, () => process.exit(0));
+  });
+  require("../src/db/database").getDb();
+  process.send({ ready: true });
+}
+
+if (process.argv[2] === "enqueue") {
+  runChild(parseInt(process.argv[3], 10));
+} else {
+  main().catch((err) => {
+    console.error(`❌ ${err.stack || err.message}`);
+    process.exit(1);
+  });
+}
@@ -8,57 +8,133 @@
  */
 
 const { Command } = require("commander");
-const { insertJob } = require("./storage/jobs");
-const { init } = require("./db/database");
-
-// Initialize DB and migrations before CLI runs
-init();
+const { insertJob, validateJobInput } = require("./storage/jobs");
+const { getDb, openDatabase, databasePath } = require("./db/database");
+const { selectInstance, currentInstance, listProfiles } = require("./utils/instance");
 
 const program = new Command();
 
 program
   .name("queuectl")
   .description("CLI background job queue manager")
-  .version("0.1.0");
+  .version("0.1.0")
+  .option("--db <file>", "Database file (env QUEUECTL_DB)")
+  .option("--data-dir <dir>", "Data directory holding the database and logs (env QUEUECTL_HOME, default ~/.queuectl)")
+  .option("--profile <name>", "Use the named profile under the data directory (env QUEUECTL_PROFILE)");
+
+// Select the instance from the global options, then bring its schema up to
+// date before any command runs, except the db:* commands, which manage it
+// themselves, and profile:list, which opens no database
+program.hook("preAction", (thisCommand, actionCommand) => {
+  try {
+    selectInstance(program.opts());
+    if (/^(db|profile):/.test(actionCommand.name())) return;
+    getDb();
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+});
 
 // =============================================================
 // ENQUEUE COMMAND
 // =============================================================
 program
-  .command("enqueue <jobJson>")
-  .description("Add a new job to the queue (supports delay & priority)")
-  .action((jobJson) => {
+  .command("enqueue [jobJson]")
+  .description("Add a new job to the queue (supports delay & priority); '-' or --file reads JSONL, one job per line")
+  .option("-f, --file <path>", "Enqueue every job of a JSONL file as one batch")
+  .option("--skip-invalid", "With --file or '-': enqueue the valid lines even if some are invalid")
+  .action((jobJson, opts) => {
+    if (opts.file || jobJson === "-") {
+      enqueueFromJsonl(opts.file || null, opts);
+      return;
+    }
+    if (jobJson === undefined) {
+      console.error("❌ Give a job as JSON, '-' to read JSONL from stdin, or --file <path>.");
+      process.exit(1);
+    }
     try {
       const data = JSON.parse(jobJson);
 
-      if (!data.command) {
-        console.error("❌ Missing required field: 'command'");
-        process.exit(1);
-      }
-
-      // --- Scheduled / Delayed Jobs (in seconds) ---
-      if (data.delay) {
-        const delayMs = Number(data.delay) * 1000;
-        data.run_after = new Date(Date.now() + delayMs).toISOString();
-      }
-
       // --- Job Priority (0 = normal, higher = more urgent) ---
       if (data.priority && typeof data.priority !== "number") {
         console.warn("⚠️  Priority must be a number. Defaulting to 0.");
         data.priority = 0;
       }
 
-      const job = insertJob(data);
+      const job = insertJob(validateJobInput(data));
+      if (job.duplicate) {
+        console.log(
+          `♻️  Duplicate of existing job: ${job.id} | idempotency_key=${job.idempotency_key} | state=${job.state}`
+        );
+        return;
+      }
       console.log(
-        `✅ Job enqueued: ${job.id} | command="${job.command}"${
+        `✅ Job enqueued: ${job.id} | command="${job.command}" | queue=${job.queue}${
           data.delay ? ` | delay=${data.delay}s` : ""
-        }${data.priority ? ` | priority=${data.priority}` : ""}`
+        }${data.priority ? ` | priority=${data.priority}` : ""}${
+          job.concurrency_key ? ` | concurrency_key=${job.concurrency_key}` : ""
+        }${job.depends_on.length ? ` | depends_on=${job.depends_on.join(",")}` : ""}${
+          job.state !== "pending" ? ` | state=${job.state}` : ""
+        }`
       );
     } catch (err) {
       console.error("❌ Failed to enqueue job:", err.message);
       process.exit(1);
     }
   });
+
+// =============================================================
+// BATCH ENQUEUE (JSONL)
+// =============================================================
+// Bulk enqueue: every line of a JSONL file (or stdin when `file` is null),
+// in one transaction and under one batch_id
+function enqueueFromJsonl(file, opts) {
+  const fs = require("fs");
+  const { enqueueBatch } = require("./storage/batches");
+  let text;
+  try {
+    text = fs.readFileSync(file === null ? 0 : file, "utf8");
+  } catch (err) {
+    console.error(`❌ Cannot read ${file === null ? "stdin" : file}: ${err.message}`);
+    process.exit(1);
+  }
+
+  const result = enqueueBatch(text, { source: file || "stdin", skipInvalid: Boolean(opts.skipInvalid) });
+  for (const e of result.errors) console.error(`❌ line ${e.line}: ${e.message}`);
+  if (result.errors.length && !opts.skipInvalid) {
+    console.error(`❌ ${result.errors.length} invalid line(s) — nothing enqueued (use --skip-invalid to enqueue the rest).`);
+    process.exit(1);
+  }
+  console.log(
+    `✅ Enqueued ${result.inserted} job(s)${result.duplicates ? `, ${result.duplicates} duplicate(s) skipped` : ""}${
+      result.errors.length ? `, ${result.errors.length} invalid line(s) skipped` : ""
+    }${result.batch_id ? ` | batch_id=${result.batch_id}` : ""}`
+  );
+  if (result.batch_id) console.log(`   Track it with: queuectl batch status ${result.batch_id}`);
+}
+
+// =============================================================
+// CANCEL COMMAND
+// =============================================================
+program
+  .command("cancel <jobId>")
+  .description("Cancel a job (a running job's command is killed)")
+  .action((jobId) => {
+    const { cancelJob } = require("./storage/jobs");
+    try {
+      const job = cancelJob(jobId);
+      if (job.state === "cancelled") {
+        console.log(`🚫 Job ${jobId} cancelled.`);
+      } else {
+        console.log(`🛑 Cancellation requested — worker ${job.worker_id} will stop job ${jobId}.`);
+      }
+    } catch (err) {
+      console.error(`❌ ${err.message}`);
+      process.exit(1);
+    }
+  });
+
 // =============================================================
 // WORKER COMMANDS
 // =============================================================
@@ -68,19 +144,121 @@ const workerCommand = program
   .command("worker")
   .description("Worker management commands");
 
-// queuectl worker start --count 3
+// queuectl worker start --count 3 --queue emails,reports
 workerCommand
   .command("start")
   .description("Start one or more worker processes")
   .option("--count <n>", "Number of worker processes", "1")
-  .action((opts) => {
-    const count = parseInt(opts.count, 10) || 1;
-    console.log(`Starting ${count} worker process(es)...`);
+  .option("--queue <names>", "Comma-separated queues to process (default: all)")
+  .option("--max-restarts <n>", "Give up after this many restarts of one worker within the window", "5")
+  .option("--restart-window <seconds>", "Crash-loop window for --max-restarts", "60")
+  .option("--min <n>", "Autoscale: minimum number of workers")
+  .option("--max <n>", "Autoscale: maximum number of workers (enables autoscaling)")
+  .action((opts, cmd) => {
+    let count = parseInt(opts.count, 10) || 1;
+    let autoscale = null;
+    if (opts.max !== undefined) {
+      const min = opts.min !== undefined ? parseInt(opts.min, 10) : 1;
+      const max = parseInt(opts.max, 10);
+      if (!(min >= 0) || !(max >= 1) || min > max) {
+        console.error("❌ Autoscale needs 0 <= --min <= --max and --max >= 1");
+        process.exit(1);
+      }
+      autoscale = { min, max };
+      // Start at --min unless --count was given explicitly
+      count = cmd.getOptionValueSource("count") === "cli" ? Math.min(max, Math.max(min, count)) : min;
+    }
+    const queues = (opts.queue || "").split(",").map((q) => q.trim()).filter(Boolean);
+    const maxRestarts = parseInt(opts.maxRestarts, 10);
+    const restartWindowSeconds = parseInt(opts.restartWindow, 10);
+    console.log(
+      `Starting ${count} worker process(es)${queues.length ? ` for queue(s): ${queues.join(", ")}` : ""}...`
+    );
     const { startWorkers } = require("./worker/manager");
-    startWorkers(count);
+    startWorkers(count, {
+      queues,
+      maxRestarts: maxRestarts >= 0 ? maxRestarts : 5,
+      restartWindowSeconds: restartWindowSeconds > 0 ? restartWindowSeconds : 60,
+      autoscale,
+    });
+  });
+
+// queuectl worker scale 4 --pid <managerPid>
+workerCommand
+  .command("scale <n>")
+  .description("Set the worker pool size (applied by a manager on SIGHUP)")
+  .option("--pid <managerPid>", "Send SIGHUP to this manager so it resizes now")
+  .action((n, opts) => {
+    const size = parseInt(n, 10);
+    if (!(size >= 0)) {
+      console.error("❌ Pool size must be a non-negative integer");
+      process.exit(1);
+    }
+    setConfig("worker-count", String(size));
+    console.log(`⚙️ Config updated: worker-count = ${size}`);
+
+    if (opts.pid) {
+      try {
+        process.kill(parseInt(opts.pid, 10), "SIGHUP");
+        console.log(`📨 Sent SIGHUP to manager pid=${opts.pid}`);
+      } catch (err) {
+        console.error(`❌ Could not signal manager pid=${opts.pid}: ${err.message}`);
+        process.exit(1);
+      }
+    } else {
+      console.log("ℹ️  Send SIGHUP to a running manager (or pass --pid) to apply it.");
+    }
+  });
+
+const {
+  listWorkers,
+  countActiveWorkers,
+  requestWorkerStop,
+} = require("./storage/workers");
+
+function secondsAgo(iso) {
+  return Math.max(0, Math.round((Date.now() - new Date(iso).getTime()) / 1000));
+}
+
+// queuectl worker list [--all]
+workerCommand
+  .command("list")
+  .description("List registered workers (running, stopping and lost)")
+  .option("--all", "Include workers that have stopped")
+  .action((opts) => {
+    const workers = listWorkers({ all: Boolean(opts.all) });
+    if (!workers.length) {
+      console.log("✅ No workers registered.");
+      return;
+    }
+
+    console.log(`\n👷 Workers — ${workers.length}:`);
+    console.log("─────────────────────────────");
+    for (const w of workers) {
+      console.log(
+        `• ID: ${w.id}\n  State: ${w.state}\n  PID: ${w.pid} @ ${w.host}\n  Queues: ${w.queues || "all"}\n  Current job: ${w.current_job_id || "-"}\n  Processed: ${w.processed} | Failed: ${w.failed}\n  Started: ${w.started_at}\n  Last heartbeat: ${w.last_heartbeat_at} (${secondsAgo(w.last_heartbeat_at)}s ago)\n`
+      );
+    }
+  });
+
+// queuectl worker stop <id> | --all
+workerCommand
+  .command("stop [workerId]")
+  .description("Ask a worker (or all with --all) to finish its current job and exit")
+  .option("--all", "Stop every running worker")
+  .action((workerId, opts) => {
+    if (!workerId && !opts.all) {
+      console.error("❌ Specify a worker ID or --all");
+      process.exit(1);
+    }
+    const count = requestWorkerStop(opts.all ? null : workerId);
+    if (count === 0) {
+      console.log(opts.all ? "✅ No running workers." : `❌ Worker ${workerId} not found or not running.`);
+    } else {
+      console.log(`🛑 Stop requested for ${count} worker(s); they exit after their current job.`);
+    }
   });
 
-// (Optional placeholder for future commands: stop, status, etc.)
 // =============================================================
 
 // Parse CLI arguments
@@ -91,7 +269,7 @@ workerCommand
 // =============================================================
 const {
   listDeadJobs,
-  retryDeadJob,
+  retryJob,
   purgeDeadJobs,
 } = require("./storage/jobs");
 
@@ -116,13 +294,14 @@ program
 // queuectl dlq retry <jobId>
 program
   .command("dlq:retry <jobId>")
-  .description("Retry a dead job (move back to pending)")
+  .description("Retry a dead job (back to pending, or blocked while its parents run)")
   .action((jobId) => {
-    const success = retryDeadJob(jobId);
-    if (success) {
-      console.log(`🔄 Job ${jobId} moved back to pending state.`);
-    } else {
-      console.log(`❌ Job ${jobId} not found or not dead.`);
+    try {
+      const job = retryJob(jobId);
+      console.log(`🔄 Job ${jobId} moved back to ${job.state} state.`);
+    } catch (err) {
+      console.error(`❌ ${err.message}`);
+      process.exit(1);
     }
   });
 
@@ -144,6 +323,7 @@ program
 // CONFIG COMMANDS
 // =============================================================
 const {
+  QUEUE_CONCURRENCY_PREFIX,
   getConfig,
   setConfig,
   listConfig,
@@ -191,39 +371,91 @@ program
   // =============================================================
 // STATUS AND JOB LIST COMMANDS
 // =============================================================
-const { listJobs } = require("./storage/jobs");
-const Database = require("better-sqlite3");
+const { listJobs, countJobsByQueue, jobOptionDefaults, effectiveJobOptions } = require("./storage/jobs");
 const path = require("path");
-const { DB_PATH } = require("./db/database");
 
 // --- STATUS COMMAND ---
 program
   .command("status")
   .description("Show summary of job states & active workers")
   .action(() => {
-    const db = new Database(DB_PATH);
-
     // Count jobs by state
-    const rows = db
+    const rows = getDb()
       .prepare("SELECT state, COUNT(*) AS count FROM jobs GROUP BY state")
       .all();
 
     const summary = {};
     for (const row of rows) summary[row.state] = row.count;
 
+    const instance = currentInstance();
     console.log("\n📊 QueueCTL System Status");
     console.log("─────────────────────────────");
-    console.log("Jobs Summary:");
+    console.log(`Instance: ${instance.profile ? `profile ${instance.profile} — ` : ""}${databasePath()}`);
+    console.log("\nJobs Summary:");
     console.log(`• pending     : ${summary.pending || 0}`);
+    console.log(`• blocked     : ${summary.blocked || 0}`);
     console.log(`• processing  : ${summary.processing || 0}`);
     console.log(`• completed   : ${summary.completed || 0}`);
     console.log(`• failed      : ${summary.failed || 0}`);
     console.log(`• dead (DLQ)  : ${summary.dead || 0}`);
+    console.log(`• cancelled   : ${summary.cancelled || 0}`);
+
+    // Per-queue breakdown, with the configured concurrency limit if any
+    const queues = {};
+    for (const row of countJobsByQueue()) {
+      queues[row.queue] = queues[row.queue] || {};
+      queues[row.queue][row.state] = row.count;
+    }
+    const queueNames = Object.keys(queues);
+    if (queueNames.length) {
+      console.log("\nQueues:");
+      for (const name of queueNames) {
+        const q = queues[name];
+        const limit = getConfig(QUEUE_CONCURRENCY_PREFIX + name);
+        console.log(
+          `• ${name.padEnd(12)}: pending=${q.pending || 0} blocked=${q.blocked || 0} processing=${q.processing || 0}${
+            limit ? `/${limit}` : ""
+          } completed=${q.completed || 0} dead=${q.dead || 0} cancelled=${q.cancelled || 0}`
+        );
+      }
+    }
+
+    // Concurrency keys and rate-limit buckets
+    const { limitUsage } = require("./storage/limits");
+    const usage = limitUsage();
+    if (usage.concurrency.length) {
+      console.log("\nConcurrency Keys:");
+      for (const k of usage.concurrency) {
+        console.log(`• ${k.key.padEnd(12)}: in flight ${k.in_flight}${k.limit ? `/${k.limit}` : ""}`);
+      }
+    }
+    if (usage.rates.length) {
+      console.log("\nRate Limits:");
+      for (const r of usage.rates) {
+        console.log(
+          `• ${`${r.scope} ${r.name}`.padEnd(12)}: ${r.rate} — ${r.tokens}/${r.capacity} token(s) available`
+        );
+      }
+    }
 
-    // Optional: Count active workers via pid files in future
-    console.log(`\nActive Workers : (dynamic count coming soon)`);
+    console.log(`\nActive Workers : ${countActiveWorkers()}`);
 
-    db.close();
+    // Autoscaling managers publish their state in the meta table
+    const { AUTOSCALE_META_PREFIX } = require("./worker/autoscaler");
+    const { listMeta } = require("./storage/meta");
+    for (const { value } of listMeta(AUTOSCALE_META_PREFIX)) {
+      const a = JSON.parse(value);
+      console.log(
+        `\nAutoscaler (manager pid=${a.manager_pid} @ ${a.host}${a.queues ? `, queues ${a.queues}` : ""})`
+      );
+      console.log(`• workers     : ${a.workers} (min ${a.min}, max ${a.max})`);
+      console.log(`• ready jobs  : ${a.ready}`);
+      console.log(`• updated     : ${a.updated_at}`);
+      if (a.last_decision) {
+        const d = a.last_decision;
+        console.log(`• last scale  : ${d.from} → ${d.to} at ${d.at} (${d.reason})`);
+      }
+    }
   });
 
 // --- LIST COMMAND ---
@@ -231,11 +463,12 @@ program
   .command("list")
   .description("List jobs by state (or all)")
   .option("--state <state>", "Filter jobs by state (pending, completed, etc.)")
+  .option("--queue <name>", "Filter jobs by queue")
   .option("--limit <n>", "Limit number of results", "10")
   .action((opts) => {
     const state = opts.state;
     const limit = parseInt(opts.limit, 10);
-    const jobs = listJobs(state);
+    const jobs = listJobs(state, opts.queue);
 
     if (!jobs.length) {
       console.log(state ? `✅ No jobs found in state '${state}'.` : "✅ No jobs found.");
@@ -243,17 +476,574 @@ program
     }
 
     console.log(
-      `\n📋 Job List (${state ? state : "all"}) — showing up to ${limit} job(s):`
+      `\n📋 Job List (${state ? state : "all"}${opts.queue ? `, queue ${opts.queue}` : ""}) — showing up to ${limit} job(s):`
     );
     console.log("─────────────────────────────");
 
+    const defaults = jobOptionDefaults();
+    const describeRetryPolicy = (o) =>
+      `${o.retry_policy}, backoff ${o.backoff}, max delay ${o.max_delay ? `${o.max_delay}s` : "none"}${
+        o.retry_on.length ? `, retry_on ${o.retry_on.join(",")}` : ""
+      }${o.no_retry_on.length ? `, no_retry_on ${o.no_retry_on.join(",")}` : ""}`;
     for (const job of jobs.slice(0, limit)) {
+      const options = effectiveJobOptions(job, defaults);
+      const env = Object.entries(options.env).map(([k, v]) => `${k}=${v}`).join(" ");
+      console.log(
+        `• ID: ${job.id}\n  Command: ${job.command}${job.handler ? `\n  Payload: ${job.payload ?? "null"}` : ""}${job.result ? `\n  Result: ${job.result}` : ""}\n  Queue: ${job.queue}\n  State: ${job.state}\n  Attempts: ${job.attempts}/${options.max_retries}\n  Timeout: ${options.timeout ? `${options.timeout}s` : "none"}${options.retry_on_timeout ? "" : " (not retried)"}\n  Retry: ${describeRetryPolicy(options)}\n  Cwd: ${options.cwd || "(worker's)"}${env ? `\n  Env: ${env}` : ""}\n  Created: ${job.created_at}\n  Updated: ${job.updated_at}\n`
+      );
+    }
+  });
+
+// =============================================================
+// SCHEDULE COMMANDS
+// =============================================================
+const {
+  MISSED_POLICIES,
+  OVERLAP_POLICIES,
+  addSchedule,
+  listSchedules,
+  setSchedulePaused,
+  removeSchedule,
+} = require("./storage/schedules");
+
+// queuectl schedule:add '*/5 * * * *' '{"command":"echo tick"}'
+program
+  .command("schedule:add <cron> <jobJson>")
+  .description("Add a recurring job using a 5-field cron expression")
+  .option("--missed <policy>", `Missed runs: ${MISSED_POLICIES.join(" | ")}`, "skip")
+  .option("--overlap <policy>", `Previous run still active: ${OVERLAP_POLICIES.join(" | ")}`, "allow")
+  .action((cron, jobJson, opts) => {
+    try {
+      const schedule = addSchedule({
+        cron,
+        job: JSON.parse(jobJson),
+        missed_policy: opts.missed,
+        overlap_policy: opts.overlap,
+      });
+      console.log(
+        `✅ Schedule added: ${schedule.id} | cron="${schedule.cron}" | next run: ${schedule.next_run_at}`
+      );
+    } catch (err) {
+      console.error("❌ Failed to add schedule:", err.message);
+      process.exit(1);
+    }
+  });
+
+// queuectl schedule:list
+program
+  .command("schedule:list")
+  .description("List recurring schedules")
+  .action(() => {
+    const schedules = listSchedules();
+    if (!schedules.length) {
+      console.log("✅ No schedules defined.");
+      return;
+    }
+
+    console.log(`\n⏰ Schedules — ${schedules.length}:`);
+    console.log("─────────────────────────────");
+    for (const s of schedules) {
+      const { command } = JSON.parse(s.job_json);
+      console.log(
+        `• ID: ${s.id}${s.paused ? " (paused)" : ""}\n  Cron: ${s.cron}\n  Command: ${command}\n  Missed: ${s.missed_policy} | Overlap: ${s.overlap_policy}\n  Next run: ${s.paused ? "-" : s.next_run_at}\n  Last run: ${s.last_run_at || "never"}${s.last_job_id ? ` (job ${s.last_job_id})` : ""}${s.last_error ? `\n  Last error: ${s.last_error}` : ""}\n`
+      );
+    }
+  });
+
+// queuectl schedule:pause <id>
+program
+  .command("schedule:pause <scheduleId>")
+  .description("Pause a schedule (no jobs are enqueued until resumed)")
+  .action((scheduleId) => {
+    if (setSchedulePaused(scheduleId, true)) console.log(`⏸️  Schedule ${scheduleId} paused.`);
+    else console.log(`❌ Schedule ${scheduleId} not found.`);
+  });
+
+// queuectl schedule:resume <id>
+program
+  .command("schedule:resume <scheduleId>")
+  .description("Resume a paused schedule from its next slot")
+  .action((scheduleId) => {
+    if (setSchedulePaused(scheduleId, false)) console.log(`▶️  Schedule ${scheduleId} resumed.`);
+    else console.log(`❌ Schedule ${scheduleId} not found.`);
+  });
+
+// queuectl schedule:remove <id>
+program
+  .command("schedule:remove <scheduleId>")
+  .description("Delete a schedule (jobs already enqueued are kept)")
+  .action((scheduleId) => {
+    if (removeSchedule(scheduleId)) console.log(`🧹 Schedule ${scheduleId} removed.`);
+    else console.log(`❌ Schedule ${scheduleId} not found.`);
+  });
+
+// queuectl scheduler --interval 5
+program
+  .command("scheduler")
+  .description("Run the scheduler loop that enqueues due recurring jobs")
+  .option("--interval <seconds>", "Seconds between checks", "5")
+  .action((opts) => {
+    const intervalSeconds = Number(opts.interval) > 0 ? Number(opts.interval) : 5;
+    const { runScheduler } = require("./worker/scheduler");
+    runScheduler({ intervalSeconds }).then(() => process.exit(0));
+  });
+
+// --- DEPS COMMAND ---
+const { getJob, getParents, getChildren } = require("./storage/jobs");
+
+function printDepTree(id, fetch, prefix, seen) {
+  const rows = fetch(id);
+  rows.forEach((row, i) => {
+    const last = i === rows.length - 1;
+    console.log(`${prefix}${last ? "└─" : "├─"} ${row.id} [${row.state}] ${row.command}`);
+    if (seen.has(row.id)) return;
+    seen.add(row.id);
+    printDepTree(row.id, fetch, prefix + (last ? "   " : "│  "), seen);
+  });
+}
+
+program
+  .command("deps <jobId>")
+  .description("Show the dependency tree of a job (what it waits on and what waits on it)")
+  .action((jobId) => {
+    const job = getJob(jobId);
+    if (!job) {
+      console.log(`❌ Job ${jobId} not found.`);
+      process.exit(1);
+    }
+
+    console.log(`\n🔗 ${job.id} [${job.state}] ${job.command}`);
+    console.log("─────────────────────────────");
+
+    console.log("Waits on:");
+    if (getParents(job.id).length) printDepTree(job.id, getParents, "", new Set());
+    else console.log("(none)");
+
+    console.log("\nRequired by:");
+    if (getChildren(job.id).length) printDepTree(job.id, getChildren, "", new Set());
+    else console.log("(none)");
+  });
+
+
+// --- HISTORY COMMAND ---
+program
+  .command("history <jobId>")
+  .description("Show every execution attempt of a job")
+  .option("--output", "Also print each attempt's (truncated) stdout/stderr")
+  .action((jobId, opts) => {
+    const { listAttempts } = require("./storage/attempts");
+    const job = getJob(jobId);
+    if (!job) {
+      console.log(`❌ Job ${jobId} not found.`);
+      process.exit(1);
+    }
+
+    const attempts = listAttempts(job.id);
+    console.log(`\n🕘 ${job.id} [${job.state}] ${job.command} — ${attempts.length} attempt(s)`);
+    console.log("─────────────────────────────");
+    for (const a of attempts) {
+      const exit = a.timed_out
+        ? "timed out"
+        : a.cancelled
+        ? "cancelled"
+        : a.signal
+        ? `signal ${a.signal}`
+        : a.exit_code !== null
+        ? `exit ${a.exit_code}`
+        : "-";
+      console.log(
+        `#${a.attempt} ${a.outcome.padEnd(9)} | ${exit} | ${a.duration !== null ? `${a.duration.toFixed(2)}s` : "-"} | worker ${
+          a.worker_id || "-"
+        }\n   ${a.started_at} → ${a.finished_at || "?"}${a.error ? `\n   error: ${a.error.trim()}` : ""}`
+      );
+      if (opts.output) {
+        if (a.stdout) console.log(`   stdout:\n${a.stdout.trimEnd().replace(/^/gm, "     ")}`);
+        if (a.stderr) console.log(`   stderr:\n${a.stderr.trimEnd().replace(/^/gm, "     ")}`);
+      }
+    }
+  });
+
+// --- LOGS COMMAND ---
+program
+  .command("logs <jobId>")
+  .description("Print a job's output from its log files (latest attempt by default)")
+  .option("--attempt <n>", "Attempt number to show")
+  .option("--stderr", "Show stderr instead of stdout")
+  .option("-f, --follow", "Keep printing new output until the attempt finishes")
+  .action(async (jobId, opts) => {
+    const { logDir, readLog, logPath, followLog } = require("./exec/logs");
+    const { attemptFinished } = require("./storage/attempts");
+    const fs = require("fs");
+    const path = require("path");
+
+    const job = getJob(jobId);
+    if (!job) {
+      console.log(`❌ Job ${jobId} not found.`);
+      process.exit(1);
+    }
+    const stream = opts.stderr ? "stderr" : "stdout";
+
+    // Following a job that is waiting to run means following its next attempt
+    let attempt = opts.follow && ["pending", "blocked"].includes(job.state) ? job.attempts + 1 : job.attempts;
+    if (opts.attempt !== undefined) {
+      attempt = parseInt(opts.attempt, 10);
+      if (!(attempt > 0)) {
+        console.error("❌ --attempt must be a positive integer");
+        process.exit(1);
+      }
+    }
+
+    // Logs written before per-attempt files existed: one combined file per job
+    const legacy = path.join(logDir(), `${job.id}.log`);
+    if (opts.attempt === undefined && !fs.existsSync(logPath(job.id, attempt, stream)) && fs.existsSync(legacy)) {
+      process.stdout.write(fs.readFileSync(legacy));
+      return;
+    }
+
+    if (!opts.follow) {
+      if (attempt === 0) {
+        console.log(`(job ${job.id} has not run yet)`);
+        return;
+      }
+      const output = await readLog(job.id, attempt, stream);
+      process.stdout.write(output);
+      if (!output.length) console.error(`(no ${stream} for attempt ${attempt})`);
+      return;
+    }
+
+    // Stream until the attempt is recorded (or the job ends without reaching it)
+    const follower = followLog(job.id, attempt, stream, {
+      onData: (chunk) => process.stdout.write(chunk),
+      isFinished: () => attemptFinished(getDb(), job.id, attempt),
+    });
+    process.on("SIGINT", follower.stop);
+    await follower.done;
+  });
+
+// --- GARBAGE COLLECTION ---
+program
+  .command("gc")
+  .description("Delete old completed/dead jobs with their history and log files, then vacuum")
+  .option("--completed-older-than <age>", "Completed jobs last updated longer ago than this (e.g. 7d)")
+  .option("--dead-older-than <age>", "Dead jobs last updated longer ago than this (e.g. 30d)")
+  .option("--keep-last <n>", "Always keep the newest N completed and N dead jobs (with an age above)")
+  .option("--dry-run", "Only report what would be deleted")
+  .action((opts) => {
+    const { collectGarbage, retentionPolicy } = require("./storage/retention");
+    const { parseDuration, formatBytes } = require("./utils/units");
+
+    let policy;
+    try {
+      policy = {
+        completedOlderThan: opts.completedOlderThan ? parseDuration(opts.completedOlderThan) : null,
+        deadOlderThan: opts.deadOlderThan ? parseDuration(opts.deadOlderThan) : null,
+        keepLast: opts.keepLast !== undefined ? parseInt(opts.keepLast, 10) : null,
+      };
+      if (policy.keepLast !== null && !(policy.keepLast >= 0)) throw new Error("--keep-last must be a number >= 0");
+      // Without an age, apply the configured automatic retention policy
+      if (policy.completedOlderThan === null && policy.deadOlderThan === null) {
+        if (policy.keepLast !== null) throw new Error("--keep-last only protects jobs: give --completed-older-than or --dead-older-than too");
+        policy = retentionPolicy();
+      }
+    } catch (err) {
+      console.error(`❌ ${err.message}`);
+      process.exit(1);
+    }
+    if (!policy) {
+      console.error("❌ Nothing to collect: give --completed-older-than or --dead-older-than (or set retention-completed / retention-dead).");
+      process.exit(1);
+    }
+
+    const report = collectGarbage(policy, { dryRun: Boolean(opts.dryRun) });
+    const verb = report.dryRun ? "Would delete" : "Deleted";
+    console.log(`\n🧹 Garbage collection${report.dryRun ? " (dry run)" : ""}`);
+    console.log("─────────────────────────────");
+    for (const [state, n] of Object.entries(report.jobs)) console.log(`${verb} ${n} ${state} job(s)`);
+    console.log(`${verb} ${report.attempts} attempt record(s)`);
+    console.log(`${verb} ${report.logFiles} log file(s) (${formatBytes(report.logBytes)})`);
+    if (!report.dryRun) {
+      if (report.converted) console.log("Database switched to incremental auto-vacuum (one-time full VACUUM)");
       console.log(
-        `• ID: ${job.id}\n  Command: ${job.command}\n  State: ${job.state}\n  Attempts: ${job.attempts}/${job.max_retries}\n  Created: ${job.created_at}\n  Updated: ${job.updated_at}\n`
+        `Database: ${formatBytes(report.dbBytesBefore)} → ${formatBytes(report.dbBytesAfter)} (reclaimed ${formatBytes(
+          Math.max(0, report.dbBytesBefore - report.dbBytesAfter)
+        )})`
       );
     }
   });
 
+// --- EXPORT / IMPORT ---
+program
+  .command("export [file]")
+  .description("Write a consistent snapshot of jobs, history, config and schedules (JSONL to stdout by default)")
+  .option("--format <format>", "jsonl | sqlite (a standalone database copy)", "jsonl")
+  .option("--state <states>", "Only jobs in these states (comma-separated)")
+  .action((file, opts) => {
+    const { parseStates, exportSnapshot } = require("./storage/snapshot");
+    try {
+      const counts = exportSnapshot({ file: file || null, format: opts.format, states: parseStates(opts.state) });
+      // stdout may be the snapshot itself, so the summary goes to stderr
+      const summary = Object.entries(counts).map(([type, n]) => `${type}=${n}`).join(", ") || "nothing";
+      console.error(`📦 Exported ${summary}${file ? ` to ${file}` : ""}.`);
+    } catch (err) {
+      console.error(`❌ ${err.message}`);
+      process.exit(1);
+    }
+  });
+
+program
+  .command("import <file>")
+  .description("Import a snapshot written by export (JSONL or SQLite)")
+  .option("--on-conflict <policy>", "What to do with IDs that already exist: skip | overwrite", "skip")
+  .option("--reset-processing", "Import 'processing' jobs as 'pending'")
+  .option("--state <states>", "Only import jobs in these states (comma-separated)")
+  .action((file, opts) => {
+    const { parseStates, importSnapshot } = require("./storage/snapshot");
+    try {
+      const summary = importSnapshot(file, {
+        onConflict: opts.onConflict,
+        resetProcessing: Boolean(opts.resetProcessing),
+        states: parseStates(opts.state),
+      });
+      if (!Object.keys(summary).length) console.log("Nothing to import.");
+      for (const [type, { imported, skipped, missing_parents }] of Object.entries(summary)) {
+        console.log(
+          `📥 ${type.padEnd(10)}: ${imported} imported${skipped ? `, ${skipped} skipped (already exist)` : ""}${
+            missing_parents ? `, ${missing_parents} skipped (missing parents)` : ""
+          }`
+        );
+      }
+    } catch (err) {
+      console.error(`❌ ${err.message}`);
+      process.exit(1);
+    }
+  });
+
+// --- BATCH COMMANDS ---
+const batchCommand = program.command("batch").description("Batches created by enqueue --file / enqueue -");
+
+batchCommand
+  .command("status <batchId>")
+  .description("Show a batch's progress and outcome")
+  .action((batchId) => {
+    const { batchStatus } = require("./storage/batches");
+    const batch = batchStatus(batchId);
+    if (!batch) {
+      console.log(`❌ Batch ${batchId} not found.`);
+      process.exit(1);
+    }
+
+    const pct = batch.total ? Math.floor((batch.finished / batch.total) * 100) : 100;
+    const icons = { "in progress": "⏳", "all succeeded": "✅", "some dead": "💀", "some cancelled": "🚫" };
+    console.log(`\n📦 Batch ${batch.id}${batch.source ? ` (${batch.source})` : ""} — ${batch.created_at}`);
+    console.log("─────────────────────────────");
+    console.log(`Progress: ${batch.finished}/${batch.total} finished (${pct}%)`);
+    for (const [state, n] of Object.entries(batch.states).sort()) console.log(`${state.padEnd(12)}: ${n}`);
+    if (batch.purged > 0) console.log(`${"purged".padEnd(12)}: ${batch.purged}`);
+    console.log(`Outcome: ${icons[batch.outcome]} ${batch.outcome}`);
+  });
+
+// --- HOOK COMMANDS ---
+program
+  .command("hooks:list")
+  .description("Show configured hooks and recent hook deliveries")
+  .option("--state <state>", "Only deliveries in this state (pending|sending|delivered|failed)")
+  .option("--limit <n>", "Number of deliveries to show", "20")
+  .action((opts) => {
+    const { DELIVERY_STATES, listConfiguredHooks, listDeliveries } = require("./storage/hooks");
+    if (opts.state && !DELIVERY_STATES.includes(opts.state)) {
+      console.error(`❌ --state must be one of ${DELIVERY_STATES.join(" | ")}`);
+      process.exit(1);
+    }
 
+    const hooks = listConfiguredHooks();
+    console.log("\n🪝 Global Hooks");
+    console.log("─────────────────────────────");
+    if (!hooks.length) console.log("(none — set one with config:set hook.job.dead <url-or-command>)");
+    for (const h of hooks) {
+      console.log(`${h.key.padEnd(28)} ${h.target}${h.event ? "" : "  ⚠️ unknown event"}`);
+    }
+
+    const deliveries = listDeliveries({ state: opts.state || null, limit: parseInt(opts.limit, 10) || 20 });
+    console.log("\n📬 Deliveries (newest first)");
+    console.log("─────────────────────────────");
+    if (!deliveries.length) console.log("(none)");
+    const icons = { pending: "⏳", sending: "📤", delivered: "✅", failed: "❌" };
+    for (const d of deliveries) {
+      console.log(
+        `${icons[d.state] || "•"} #${d.id} ${d.event} → ${d.target} | ${d.state} | attempts: ${d.attempts}${
+          d.job_id ? ` | job ${d.job_id}` : ""
+        } | ${d.updated_at}${d.last_error ? `\n   error: ${d.last_error}` : ""}`
+      );
+    }
+  });
+
+program
+  .command("hooks:retry <deliveryId>")
+  .description("Send a failed hook delivery again")
+  .action((deliveryId) => {
+    const { retryDelivery } = require("./storage/hooks");
+    try {
+      const delivery = retryDelivery(parseInt(deliveryId, 10));
+      console.log(`🔄 Delivery #${delivery.id} (${delivery.event} → ${delivery.target}) queued again.`);
+    } catch (err) {
+      console.error(`❌ ${err.message}`);
+      process.exit(1);
+    }
+  });
+
+// --- BENCHMARK ---
+program
+  .command("bench")
+  .description("Measure enqueue, batch enqueue and claim throughput with N worker processes (on a throwaway database)")
+  .option("--jobs <n>", "Number of jobs", "2000")
+  .option("--workers <n>", "Number of worker processes", "4")
+  .option("--keep", "Keep the benchmark database instead of deleting it")
+  .action(async (opts) => {
+    const { runBench } = require("./worker/bench");
+    const jobs = parseInt(opts.jobs, 10);
+    const workers = parseInt(opts.workers, 10);
+    if (!(jobs > 0) || !(workers > 0)) {
+      console.error("❌ --jobs and --workers must be positive numbers");
+      process.exit(1);
+    }
+
+    console.log(`\n🏁 Benchmark: ${jobs} job(s), ${workers} worker process(es)`);
+    console.log("─────────────────────────────");
+    try {
+      const { dbPath, phases } = await runBench({ jobs, workers, keep: Boolean(opts.keep) });
+      for (const [phase, r] of Object.entries(phases)) {
+        console.log(
+          `${phase.padEnd(8)}: ${r.jobs} job(s) in ${r.seconds.toFixed(2)}s → ${Math.round(r.perSecond)} jobs/s` +
+            ` (${r.busy} SQLITE_BUSY retr${r.busy === 1 ? "y" : "ies"})`
+        );
+      }
+      if (opts.keep) console.log(`Database kept at ${dbPath}`);
+    } catch (err) {
+      console.error(`❌ ${err.message}`);
+      process.exit(1);
+    }
+  });
+
+// --- INSTANCES ---
+program
+  .command("profile:list")
+  .description("List the profiles under the data directory (create one by using --profile <name>)")
+  .action(() => {
+    const instance = currentInstance();
+    const profiles = listProfiles(instance.home);
+    console.log(`\n🗂️ Profiles in ${instance.home}`);
+    console.log("─────────────────────────────");
+    if (!profiles.length) {
+      console.log("(none — the default instance is in use)");
+      return;
+    }
+    for (const p of profiles) {
+      const marker = p.name === instance.profile ? "*" : " ";
+      console.log(`${marker} ${p.name.padEnd(16)} ${p.exists ? p.dbPath : "(no database yet)"}`);
+    }
+  });
+
+program
+  .command("dashboard")
+  .description("Serve the dashboard and HTTP API for the selected instance")
+  .option("--port <n>", "Port to listen on (env PORT, default 8080)")
+  .option("--host <addr>", "Address to listen on (env QUEUECTL_HOST, default 127.0.0.1; 0.0.0.0 for every interface)")
+  .action((opts) => {
+    if (opts.port) process.env.PORT = opts.port;
+    if (opts.host) process.env.QUEUECTL_HOST = opts.host;
+    require("./server");
+  });
+
+// --- DATABASE COMMANDS ---
+// Parses --to for db:migrate / db:rollback (undefined when not given)
+function parseTargetVersion(value) {
+  if (value === undefined) return undefined;
+  const to = Number(value);
+  if (!Number.isInteger(to)) {
+    console.error("❌ --to must be a schema version number");
+    process.exit(1);
+  }
+  return to;
+}
+
+program
+  .command("db:status")
+  .description("Show the database schema version and which migrations are applied")
+  .action(() => {
+    const { migrationStatus } = require("./db/migrate");
+    const db = openDatabase();
+    let status;
+    try {
+      status = migrationStatus(db);
+    } finally {
+      db.close();
+    }
+
+    console.log(`\n🗄️ Schema version ${status.current} (latest known: ${status.latest})`);
+    console.log(`   ${databasePath()}`);
+    console.log("─────────────────────────────");
+    for (const m of status.migrations) {
+      const version = String(m.version).padStart(3, "0");
+      const when = m.applied ? m.applied_at || "applied before versioning" : "pending";
+      console.log(`${m.applied ? "✅" : "⏳"} ${version} ${m.name.padEnd(28)} ${when}`);
+      console.log(`      ${m.description}`);
+    }
+    if (status.current > status.latest) {
+      console.log(`\n⚠️ The database is newer than this queuectl; upgrade queuectl.`);
+    } else if (status.held) {
+      console.log(`\n⏸️ Held at this version by db:rollback or db:migrate --to; run db:migrate to continue.`);
+    }
+  });
+
+program
+  .command("db:migrate")
+  .description("Apply pending schema migrations")
+  .option("--to <version>", "Stop at this schema version")
+  .action((opts) => {
+    const { migrate } = require("./db/migrate");
+    const db = openDatabase();
+    try {
+      const applied = migrate(db, { to: parseTargetVersion(opts.to) });
+      if (!applied.length) console.log("✅ Schema is up to date.");
+      for (const m of applied) console.log(`⬆️ ${m.version} ${m.name}`);
+      if (applied.length) console.log(`✅ Schema is at version ${applied[applied.length - 1].version}.`);
+    } catch (err) {
+      console.error(`❌ ${err.message}`);
+      process.exit(1);
+    } finally {
+      db.close();
+    }
+  });
+
+program
+  .command("db:rollback")
+  .description("Undo the last schema migration (stop workers first)")
+  .option("--to <version>", "Undo every migration after this schema version")
+  .option("--force", "Roll back even if it drops tables or columns that hold data")
+  .action((opts) => {
+    const { rollback } = require("./db/migrate");
+    const db = openDatabase();
+    try {
+      const to = parseTargetVersion(opts.to);
+      const reverted = rollback(db, { to, force: Boolean(opts.force) });
+      if (!reverted.length) {
+        console.log("ℹ️ Nothing to roll back.");
+        return;
+      }
+      for (const m of reverted) console.log(`⬇️ ${m.version} ${m.name}`);
+      console.log(
+        `✅ Schema is at version ${reverted[reverted.length - 1].version - 1}; other commands refuse to run until db:migrate.`
+      );
+    } catch (err) {
+      console.error(`❌ ${err.message}`);
+      process.exit(1);
+    } finally {
+      db.close();
+    }
+  });
 
-program.parse(process.argv);
+// Async actions (logs --follow) are awaited, so their errors surface here
+program.parseAsync(process.argv).catch((err) => {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+});
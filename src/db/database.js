@@ -1,32 +1,96 @@
 const Database = require('better-sqlite3');
 const fs = require('fs');
 const path = require('path');
+const { ensureSchema } = require('./migrate');
+const { currentInstance } = require('../utils/instance');
 
 
-const DB_PATH = path.resolve(__dirname, '../../data/queuectl.sqlite3');
+// How long a statement waits for another process's write lock before SQLITE_BUSY
+const BUSY_TIMEOUT_MS = 10000;
 
+// Set by useDatabase; otherwise the selected instance's database
+let dbPath = null;
+// The connection every module of this process shares (see getDb)
+let shared = null;
+// Prepared statements of the shared connection, by SQL text
+const statements = new Map();
 
-function init() {
-fs.mkdirSync(path.dirname(DB_PATH), { recursive: true });
-const db = new Database(DB_PATH);
-const migration = fs.readFileSync(path.resolve(__dirname, './migrations.sql'), 'utf8');
-db.exec(migration);
 
-// ✅ Safe schema migration: add missing columns if needed
-const existingCols = db.prepare("PRAGMA table_info(jobs)").all().map(c => c.name);
-
-if (!existingCols.includes("priority")) {
-  db.exec("ALTER TABLE jobs ADD COLUMN priority INTEGER DEFAULT 0;");
-  console.log("✅ Added missing column: priority");
+// Point this process at another database file; only before its first getDb()
+// (naming the file already open is allowed)
+function useDatabase(file) {
+const resolved = path.resolve(file);
+if (shared && resolved !== databasePath()) {
+  throw new Error(`Database ${databasePath()} is already open; one process uses one database`);
+}
+dbPath = resolved;
 }
 
-if (!existingCols.includes("duration")) {
-  db.exec("ALTER TABLE jobs ADD COLUMN duration REAL;");
-  console.log("✅ Added missing column: duration");
+function databasePath() {
+return dbPath || currentInstance().dbPath;
 }
 
+
+// Open a connection without touching the schema (used by the db:* commands).
+// WAL lets readers run while a worker writes; the busy timeout makes
+// concurrent writers wait for the lock instead of failing.
+function openDatabase() {
+const file = databasePath();
+fs.mkdirSync(path.dirname(file), { recursive: true });
+const db = new Database(file, { timeout: BUSY_TIMEOUT_MS });
+// Only takes effect on a new database: lets `queuectl gc` return freed pages to the OS
+db.pragma("auto_vacuum = INCREMENTAL");
+// WAL is stored in the file, so this only runs once per database; a process
+// that loses the race to switch it finds it switched
+if (db.pragma("journal_mode", { simple: true }) !== "wal") {
+  try {
+    db.pragma("journal_mode = WAL");
+  } catch (err) {
+    if (err.code !== "SQLITE_BUSY") throw err;
+  }
+}
+// Safe with WAL: a crash can lose the last commits but never corrupts the file
+db.pragma("synchronous = NORMAL");
 return db;
 }
 
 
-module.exports = { init, DB_PATH };
+/**
+ * The process-wide connection: opened, and its schema checked (and
+ * migrated), on first use; closed when the process exits. Callers never
+ * close it.
+ */
+function getDb() {
+if (shared) return shared;
+const db = openDatabase();
+try {
+  ensureSchema(db);
+} catch (err) {
+  db.close();
+  throw err;
+}
+shared = db;
+process.once('exit', closeDb);
+return shared;
+}
+
+// A prepared statement on the shared connection, compiled once per SQL text.
+// Only for fixed SQL: text built from runtime values would grow the cache.
+function statement(sql) {
+let stmt = statements.get(sql);
+if (!stmt) {
+  stmt = getDb().prepare(sql);
+  statements.set(sql, stmt);
+}
+return stmt;
+}
+
+function closeDb() {
+if (!shared) return;
+statements.clear();
+shared.close();
+shared = null;
+}
+
+
+module.exports = { useDatabase, databasePath, openDatabase, getDb, statement, closeDb };
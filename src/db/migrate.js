@@ -0,0 +1,226 @@
+// src/db/migrate.js
+// Versioned schema migrations. Each file in migrations/ is named
+// <version>_<name>.js (versions numbered 1, 2, 3, … without gaps) and exports
+// { description, up(db), down(db) }. The version a database is at lives in
+// the meta table; pending migrations run in one IMMEDIATE transaction, which
+// holds SQLite's write lock, so processes starting together never race.
+const fs = require("fs");
+const path = require("path");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+
+// meta keys
+const VERSION_KEY = "schema.version";
+const APPLIED_PREFIX = "schema.applied_at.";
+// Set by a rollback or a partial migrate: stops ensureSchema() from migrating past it
+const HOLD_KEY = "schema.hold";
+
+function loadMigrations() {
+  const migrations = fs
+    .readdirSync(MIGRATIONS_DIR)
+    .map((file) => file.match(/^(\d+)_(.+)\.js$/))
+    .filter(Boolean)
+    .map(([file, version, name]) => ({
+      version: parseInt(version, 10),
+      name,
+      ...require(path.join(MIGRATIONS_DIR, file)),
+    }))
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((m, i) => {
+    if (m.version !== i + 1) throw new Error(`Migration ${m.version}_${m.name} is out of sequence (expected ${i + 1})`);
+  });
+  return migrations;
+}
+
+const MIGRATIONS = loadMigrations();
+const LATEST_VERSION = MIGRATIONS.length;
+
+function readMeta(db, key) {
+  const hasMeta = db.prepare("SELECT 1 FROM sqlite_master WHERE type='table' AND name='meta'").get();
+  if (!hasMeta) return undefined;
+  const row = db.prepare("SELECT value FROM meta WHERE key = ?").get(key);
+  return row ? row.value : undefined;
+}
+
+function writeMeta(db, key, value) {
+  if (value === null) db.prepare("DELETE FROM meta WHERE key = ?").run(key);
+  else db.prepare("INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)").run(key, String(value));
+}
+
+// 0 for a new database or one created before versioning
+function schemaVersion(db) {
+  return parseInt(readMeta(db, VERSION_KEY) || "0", 10);
+}
+
+function isHeld(db) {
+  return readMeta(db, HOLD_KEY) !== undefined;
+}
+
+function assertKnownVersion(current) {
+  if (current > LATEST_VERSION) {
+    throw new Error(
+      `Database schema version ${current} is newer than this queuectl supports (${LATEST_VERSION}); upgrade queuectl`
+    );
+  }
+}
+
+function checkTarget(to) {
+  if (!Number.isInteger(to) || to < 0 || to > LATEST_VERSION) {
+    throw new Error(`Target version must be between 0 and ${LATEST_VERSION}`);
+  }
+}
+
+/**
+ * Apply the pending migrations up to `to` (default: latest). Stopping short
+ * of the latest version holds the database there like a rollback does;
+ * migrating all the way clears the hold. Returns the migrations applied
+ * ([] when up to date).
+ */
+function migrate(db, { to = LATEST_VERSION } = {}) {
+  checkTarget(to);
+  return db
+    .transaction(() => {
+      // Read again under the lock: another process may have just migrated
+      const current = schemaVersion(db);
+      assertKnownVersion(current);
+      const pending = MIGRATIONS.filter((m) => m.version > current && m.version <= to);
+      const now = new Date().toISOString();
+      for (const m of pending) {
+        m.up(db);
+        writeMeta(db, VERSION_KEY, m.version);
+        writeMeta(db, APPLIED_PREFIX + m.version, now);
+      }
+      if (to < LATEST_VERSION && to > 0) writeMeta(db, HOLD_KEY, to);
+      else if (isHeld(db)) writeMeta(db, HOLD_KEY, null);
+      return pending;
+    })
+    .immediate();
+}
+
+// { table: { column: default value SQL or null } } for every table of ours
+function tableColumns(db) {
+  const tables = db
+    .prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND name != 'meta'")
+    .all();
+  const columns = {};
+  for (const { name } of tables) {
+    columns[name] = {};
+    for (const c of db.prepare(`PRAGMA table_info(${name})`).all()) columns[name][c.name] = c.dflt_value;
+  }
+  return columns;
+}
+
+// Thrown to undo a trial run of down steps
+const TRIAL = Symbol("trial");
+
+/**
+ * What the down steps of `reverted` would throw away: the dropped tables that
+ * have rows and the dropped columns that hold anything but NULL or their
+ * default, as ["jobs.payload (3 rows)", "job_attempts (12 rows)", …]. The
+ * steps run in a savepoint that is rolled back, so nothing changes.
+ */
+function droppedData(db, reverted) {
+  const before = tableColumns(db);
+  let after;
+  try {
+    db.transaction(() => {
+      for (const m of reverted) m.down(db);
+      after = tableColumns(db);
+      throw TRIAL;
+    })();
+  } catch (err) {
+    if (err !== TRIAL) throw err;
+  }
+
+  const lost = [];
+  for (const [table, columns] of Object.entries(before)) {
+    if (!after[table]) {
+      const rows = db.prepare(`SELECT COUNT(*) AS n FROM ${table}`).get().n;
+      if (rows) lost.push(`${table} (${rows} rows)`);
+      continue;
+    }
+    for (const [column, dflt] of Object.entries(columns)) {
+      if (column in after[table]) continue;
+      const isDefault = dflt === null ? "" : ` AND ${column} IS NOT ${dflt}`;
+      const rows = db.prepare(`SELECT COUNT(*) AS n FROM ${table} WHERE ${column} IS NOT NULL${isDefault}`).get().n;
+      if (rows) lost.push(`${table}.${column} (${rows} rows)`);
+    }
+  }
+  return lost;
+}
+
+/**
+ * Undo applied migrations, newest first, down to version `to` (default: one
+ * step back). The database is then held at that version: ensureSchema()
+ * refuses it until `queuectl db:migrate`. A rollback that would drop tables or
+ * columns holding data throws unless `force` is set. Returns the migrations
+ * reverted.
+ */
+function rollback(db, { to = null, force = false } = {}) {
+  return db
+    .transaction(() => {
+      const current = schemaVersion(db);
+      assertKnownVersion(current);
+      const target = to === null ? Math.max(current - 1, 0) : to;
+      checkTarget(target);
+      const reverted = MIGRATIONS.filter((m) => m.version > target && m.version <= current).reverse();
+      if (!force && reverted.length) {
+        const lost = droppedData(db, reverted);
+        if (lost.length) {
+          throw new Error(
+            `Rolling back to version ${target} would delete data in ${lost.join(", ")}; pass --force to do it anyway`
+          );
+        }
+      }
+      for (const m of reverted) {
+        m.down(db);
+        writeMeta(db, VERSION_KEY, m.version - 1);
+        writeMeta(db, APPLIED_PREFIX + m.version, null);
+      }
+      if (reverted.length) writeMeta(db, HOLD_KEY, target);
+      return reverted;
+    })
+    .immediate();
+}
+
+/**
+ * { current, latest, held, migrations: [{ version, name, description,
+ *   applied, applied_at }] }
+ */
+function migrationStatus(db) {
+  const current = schemaVersion(db);
+  return {
+    current,
+    latest: LATEST_VERSION,
+    held: isHeld(db),
+    migrations: MIGRATIONS.map((m) => ({
+      version: m.version,
+      name: m.name,
+      description: m.description,
+      applied: m.version <= current,
+      applied_at: readMeta(db, APPLIED_PREFIX + m.version) || null,
+    })),
+  };
+}
+
+/**
+ * Make sure `db` has the schema this code expects: migrate a database that is
+ * behind (unless it is held at its version) and refuse one that is newer.
+ */
+function ensureSchema(db) {
+  const current = schemaVersion(db);
+  assertKnownVersion(current);
+  if (current === LATEST_VERSION) return;
+  if (isHeld(db)) {
+    throw new Error(
+      `Database schema is held at version ${current}; run \`queuectl db:migrate\` to bring it to ${LATEST_VERSION}`
+    );
+  }
+  const applied = migrate(db);
+  if (applied.length) {
+    console.error(`✅ Migrated database schema to version ${applied[applied.length - 1].version}`);
+  }
+}
+
+module.exports = { LATEST_VERSION, schemaVersion, migrate, rollback, migrationStatus, ensureSchema };
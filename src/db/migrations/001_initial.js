@@ -0,0 +1,42 @@
+// Jobs, config and meta: the schema queuectl started with
+const { addColumn } = require("../schema");
+
+module.exports = {
+  description: "jobs, config and meta tables",
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS jobs (
+        id TEXT PRIMARY KEY,
+        command TEXT NOT NULL,
+        state TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        max_retries INTEGER NOT NULL DEFAULT 3,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        run_after TEXT NOT NULL,
+        last_error TEXT,
+        worker_id TEXT,
+        stdout TEXT,
+        stderr TEXT
+      );
+
+      CREATE TABLE IF NOT EXISTS config (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+      );
+
+      -- internal key/value state (schema version, retention runs, alerts)
+      CREATE TABLE IF NOT EXISTS meta (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+      );
+    `);
+    addColumn(db, "jobs", "priority", "INTEGER DEFAULT 0");
+    addColumn(db, "jobs", "duration", "REAL");
+  },
+
+  down() {
+    throw new Error("The initial schema cannot be rolled back; delete the database file instead");
+  },
+};
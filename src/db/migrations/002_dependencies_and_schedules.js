@@ -0,0 +1,39 @@
+// Job dependencies (blocked state) and cron schedules
+module.exports = {
+  description: "job_dependencies and schedules tables",
+
+  up(db) {
+    db.exec(`
+      -- job_id waits until depends_on has completed
+      CREATE TABLE IF NOT EXISTS job_dependencies (
+        job_id TEXT NOT NULL,
+        depends_on TEXT NOT NULL,
+        PRIMARY KEY (job_id, depends_on)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_job_dependencies_parent ON job_dependencies(depends_on);
+
+      -- recurring schedules (cron expression -> job template)
+      CREATE TABLE IF NOT EXISTS schedules (
+        id TEXT PRIMARY KEY,
+        cron TEXT NOT NULL,
+        job_json TEXT NOT NULL,
+        paused INTEGER NOT NULL DEFAULT 0,
+        missed_policy TEXT NOT NULL DEFAULT 'skip',
+        overlap_policy TEXT NOT NULL DEFAULT 'allow',
+        next_run_at TEXT NOT NULL,
+        last_run_at TEXT,
+        last_job_id TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS schedules;
+      DROP TABLE IF EXISTS job_dependencies;
+    `);
+  },
+};
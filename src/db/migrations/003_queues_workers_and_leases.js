@@ -0,0 +1,39 @@
+// Named queues, the worker registry and job leases
+const { addColumn, dropColumn } = require("../schema");
+
+module.exports = {
+  description: "jobs.queue, jobs.lease_expires_at and the workers table",
+
+  up(db) {
+    addColumn(db, "jobs", "queue", "TEXT NOT NULL DEFAULT 'default'");
+    addColumn(db, "jobs", "lease_expires_at", "TEXT");
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_jobs_queue_state ON jobs(queue, state);
+
+      -- one row per worker process, kept alive by heartbeats
+      CREATE TABLE IF NOT EXISTS workers (
+        id TEXT PRIMARY KEY,
+        pid INTEGER NOT NULL,
+        host TEXT NOT NULL,
+        queues TEXT,
+        state TEXT NOT NULL DEFAULT 'running',
+        current_job_id TEXT,
+        processed INTEGER NOT NULL DEFAULT 0,
+        failed INTEGER NOT NULL DEFAULT 0,
+        stop_requested INTEGER NOT NULL DEFAULT 0,
+        started_at TEXT NOT NULL,
+        last_heartbeat_at TEXT NOT NULL,
+        stopped_at TEXT
+      );
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS workers;
+      DROP INDEX IF EXISTS idx_jobs_queue_state;
+    `);
+    dropColumn(db, "jobs", "lease_expires_at");
+    dropColumn(db, "jobs", "queue");
+  },
+};
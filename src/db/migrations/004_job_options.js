@@ -0,0 +1,27 @@
+// Cancellation and per-job execution options (NULL = use the global config)
+const { addColumn, dropColumn } = require("../schema");
+
+const COLUMNS = [
+  ["cancel_requested", "INTEGER NOT NULL DEFAULT 0"],
+  ["timeout", "REAL"],
+  ["backoff", "REAL"],
+  ["cwd", "TEXT"],
+  ["env", "TEXT"],
+  ["retry_policy", "TEXT"],
+  ["max_delay", "REAL"],
+  ["retry_on", "TEXT"],
+  ["no_retry_on", "TEXT"],
+  ["retry_on_timeout", "INTEGER"],
+];
+
+module.exports = {
+  description: "cancellation, timeout, env, cwd and retry policy columns on jobs",
+
+  up(db) {
+    for (const [column, definition] of COLUMNS) addColumn(db, "jobs", column, definition);
+  },
+
+  down(db) {
+    for (const [column] of COLUMNS) dropColumn(db, "jobs", column);
+  },
+};
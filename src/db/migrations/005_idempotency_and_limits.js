@@ -0,0 +1,32 @@
+// Idempotency keys, concurrency keys and token-bucket rate limits
+const { addColumn, dropColumn } = require("../schema");
+
+module.exports = {
+  description: "jobs.idempotency_key, jobs.concurrency_key and the rate_buckets table",
+
+  up(db) {
+    addColumn(db, "jobs", "idempotency_key", "TEXT");
+    addColumn(db, "jobs", "concurrency_key", "TEXT");
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_jobs_idempotency_key ON jobs(idempotency_key);
+      CREATE INDEX IF NOT EXISTS idx_jobs_concurrency_key_state ON jobs(concurrency_key, state);
+
+      -- token buckets for the rate-limit.* config entries (keyed by config key)
+      CREATE TABLE IF NOT EXISTS rate_buckets (
+        key TEXT PRIMARY KEY,
+        tokens REAL NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS rate_buckets;
+      DROP INDEX IF EXISTS idx_jobs_concurrency_key_state;
+      DROP INDEX IF EXISTS idx_jobs_idempotency_key;
+    `);
+    dropColumn(db, "jobs", "concurrency_key");
+    dropColumn(db, "jobs", "idempotency_key");
+  },
+};
@@ -0,0 +1,32 @@
+// One row per execution of a job (see storage/attempts.js)
+module.exports = {
+  description: "job_attempts table",
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS job_attempts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        job_id TEXT NOT NULL,
+        attempt INTEGER NOT NULL,
+        worker_id TEXT,
+        started_at TEXT NOT NULL,
+        finished_at TEXT,
+        duration REAL,
+        exit_code INTEGER,
+        signal TEXT,
+        timed_out INTEGER NOT NULL DEFAULT 0,
+        cancelled INTEGER NOT NULL DEFAULT 0,
+        outcome TEXT NOT NULL,
+        error TEXT,
+        stdout TEXT,
+        stderr TEXT
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_job_attempts_job ON job_attempts(job_id, attempt);
+    `);
+  },
+
+  down(db) {
+    db.exec("DROP TABLE IF EXISTS job_attempts;");
+  },
+};
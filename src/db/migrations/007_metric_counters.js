@@ -0,0 +1,21 @@
+// Monotonic counters behind /metrics (see storage/metrics.js); kept apart
+// from jobs so deleting or purging jobs never makes a counter go backwards
+module.exports = {
+  description: "metric_counters table",
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS metric_counters (
+        name TEXT NOT NULL,
+        queue TEXT NOT NULL,
+        le TEXT NOT NULL DEFAULT '',
+        value REAL NOT NULL DEFAULT 0,
+        PRIMARY KEY (name, queue, le)
+      );
+    `);
+  },
+
+  down(db) {
+    db.exec("DROP TABLE IF EXISTS metric_counters;");
+  },
+};
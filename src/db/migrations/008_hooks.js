@@ -0,0 +1,38 @@
+// Per-job hooks and the outbox of hook notifications (see storage/hooks.js);
+// rows are written in the same transaction as the state change and
+// delivered by the workers
+const { addColumn, dropColumn } = require("../schema");
+
+module.exports = {
+  description: "jobs.on_complete, jobs.on_dead and the hook_deliveries table",
+
+  up(db) {
+    addColumn(db, "jobs", "on_complete", "TEXT");
+    addColumn(db, "jobs", "on_dead", "TEXT");
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS hook_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        event TEXT NOT NULL,
+        job_id TEXT,
+        target TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        state TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TEXT NOT NULL,
+        locked_until TEXT,
+        last_error TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        delivered_at TEXT
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_hook_deliveries_state ON hook_deliveries(state, next_attempt_at);
+    `);
+  },
+
+  down(db) {
+    db.exec("DROP TABLE IF EXISTS hook_deliveries;");
+    dropColumn(db, "jobs", "on_dead");
+    dropColumn(db, "jobs", "on_complete");
+  },
+};
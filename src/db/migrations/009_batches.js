@@ -0,0 +1,28 @@
+// One row per `enqueue --file` / `enqueue -` call; its jobs carry batch_id
+const { addColumn, dropColumn } = require("../schema");
+
+module.exports = {
+  description: "jobs.batch_id and the batches table",
+
+  up(db) {
+    addColumn(db, "jobs", "batch_id", "TEXT");
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_jobs_batch_id ON jobs(batch_id);
+
+      CREATE TABLE IF NOT EXISTS batches (
+        id TEXT PRIMARY KEY,
+        source TEXT,
+        total INTEGER NOT NULL,
+        created_at TEXT NOT NULL
+      );
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS batches;
+      DROP INDEX IF EXISTS idx_jobs_batch_id;
+    `);
+    dropColumn(db, "jobs", "batch_id");
+  },
+};
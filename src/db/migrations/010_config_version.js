@@ -0,0 +1,35 @@
+// Bumps meta 'config.version' on every change to config, from any process or
+// tool, so processes can cache config and notice when it goes stale
+module.exports = {
+  description: "triggers keeping meta config.version in step with config",
+
+  up(db) {
+    db.exec(`
+      INSERT OR IGNORE INTO meta (key, value) VALUES ('config.version', '0');
+
+      CREATE TRIGGER IF NOT EXISTS config_version_insert AFTER INSERT ON config
+      BEGIN
+        UPDATE meta SET value = CAST(value AS INTEGER) + 1 WHERE key = 'config.version';
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS config_version_update AFTER UPDATE ON config
+      BEGIN
+        UPDATE meta SET value = CAST(value AS INTEGER) + 1 WHERE key = 'config.version';
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS config_version_delete AFTER DELETE ON config
+      BEGIN
+        UPDATE meta SET value = CAST(value AS INTEGER) + 1 WHERE key = 'config.version';
+      END;
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TRIGGER IF EXISTS config_version_delete;
+      DROP TRIGGER IF EXISTS config_version_update;
+      DROP TRIGGER IF EXISTS config_version_insert;
+      DELETE FROM meta WHERE key = 'config.version';
+    `);
+  },
+};
@@ -0,0 +1,19 @@
+// Jobs run by a JavaScript handler registered with Queue#process instead of a
+// shell command: the handler's name, its JSON payload and its JSON result
+const { addColumn, dropColumn } = require("../schema");
+
+module.exports = {
+  description: "jobs.handler, jobs.payload and jobs.result for JavaScript handler jobs",
+
+  up(db) {
+    addColumn(db, "jobs", "handler", "TEXT");
+    addColumn(db, "jobs", "payload", "TEXT");
+    addColumn(db, "jobs", "result", "TEXT");
+  },
+
+  down(db) {
+    dropColumn(db, "jobs", "result");
+    dropColumn(db, "jobs", "payload");
+    dropColumn(db, "jobs", "handler");
+  },
+};
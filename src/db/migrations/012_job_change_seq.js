@@ -0,0 +1,48 @@
+// A sequence number stamped on a job whenever it is inserted or its state,
+// attempts or updated_at change. The counter lives in meta 'jobs.change_seq'
+// and is bumped inside the writing transaction, so numbers follow commit
+// order, which timestamps taken before the write lock do not.
+const { addColumn, dropColumn } = require("../schema");
+
+// Shared by both triggers: take the next number and stamp the row with it
+const STAMP = `
+  UPDATE meta SET value = CAST(value AS INTEGER) + 1 WHERE key = 'jobs.change_seq';
+  UPDATE jobs SET change_seq = (SELECT CAST(value AS INTEGER) FROM meta WHERE key = 'jobs.change_seq')
+  WHERE rowid = NEW.rowid;
+`;
+
+module.exports = {
+  description: "jobs.change_seq, a commit-ordered change counter for the job change feed",
+
+  up(db) {
+    addColumn(db, "jobs", "change_seq", "INTEGER");
+    // Existing jobs are numbered in the order they last changed
+    db.exec(`
+      UPDATE jobs SET change_seq = r.n
+      FROM (SELECT id, ROW_NUMBER() OVER (ORDER BY updated_at, id) AS n FROM jobs) AS r
+      WHERE r.id = jobs.id;
+
+      INSERT OR REPLACE INTO meta (key, value)
+      VALUES ('jobs.change_seq', (SELECT COALESCE(MAX(change_seq), 0) FROM jobs));
+
+      CREATE INDEX IF NOT EXISTS idx_jobs_change_seq ON jobs(change_seq);
+
+      CREATE TRIGGER IF NOT EXISTS jobs_change_seq_insert AFTER INSERT ON jobs
+      BEGIN ${STAMP} END;
+
+      -- Not on every column: a lease renewal is not a change
+      CREATE TRIGGER IF NOT EXISTS jobs_change_seq_update AFTER UPDATE OF state, attempts, updated_at ON jobs
+      BEGIN ${STAMP} END;
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TRIGGER IF EXISTS jobs_change_seq_update;
+      DROP TRIGGER IF EXISTS jobs_change_seq_insert;
+      DROP INDEX IF EXISTS idx_jobs_change_seq;
+      DELETE FROM meta WHERE key = 'jobs.change_seq';
+    `);
+    dropColumn(db, "jobs", "change_seq");
+  },
+};
@@ -0,0 +1,15 @@
+// Why a schedule's latest run enqueued nothing (e.g. its job template no
+// longer validates); cleared by the next run that succeeds
+const { addColumn, dropColumn } = require("../schema");
+
+module.exports = {
+  description: "schedules.last_error, the error of a run whose jobs could not be enqueued",
+
+  up(db) {
+    addColumn(db, "schedules", "last_error", "TEXT");
+  },
+
+  down(db) {
+    dropColumn(db, "schedules", "last_error");
+  },
+};
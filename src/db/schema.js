@@ -0,0 +1,21 @@
+// src/db/schema.js
+// Helpers for migration files. Databases created before schema versioning
+// may already have any of the tables and columns a migration adds, so adding
+// is idempotent and dropping skips what is not there.
+
+function columnNames(db, table) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().map((c) => c.name);
+}
+
+function addColumn(db, table, column, definition) {
+  if (columnNames(db, table).includes(column)) return;
+  db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+}
+
+// Indexes on the column must be dropped first
+function dropColumn(db, table, column) {
+  if (!columnNames(db, table).includes(column)) return;
+  db.exec(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+}
+
+module.exports = { addColumn, dropColumn };
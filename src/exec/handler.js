@@ -0,0 +1,120 @@
+// src/exec/handler.js
+// Runs a job's JavaScript handler (registered with Queue#process) in the
+// worker's own process, with the same result shape as runCommand so the
+// worker applies retries, the DLQ and hooks to both kinds of job alike.
+const { openLogWriter } = require("./logs");
+const { isExitCode } = require("../utils/retry");
+
+function keepTail(text, limit) {
+  return limit > 0 && text.length > limit ? text.slice(-limit) : text;
+}
+
+/**
+ * Call `handler(payload, context)` for attempt `job.attempts` of a handler
+ * job. `context` is { job, attempt, signal, log }: `signal` aborts when the
+ * job is cancelled or times out, and `log(...args)` writes a line to the
+ * attempt's stdout log. A JavaScript function cannot be killed, so on
+ * timeout or cancel the attempt ends at once and a handler that ignores the
+ * signal keeps running in the background.
+ *
+ * A handler that returns succeeds (exit code 0) and its return value is kept
+ * as the job's JSON `result`; one that throws fails with exit code 1, or with
+ * the error's numeric `exitCode` so retry_on / no_retry_on apply.
+ * Returns runCommand's { code, signal, stdout, stderr, timedOut, cancelled }
+ * plus `result` (a JSON string, or null).
+ */
+async function runHandler(job, handler, timeoutSeconds = null, { signal = null, outputLimit = 4096 } = {}) {
+  const stdoutLog = openLogWriter(job.id, job.attempts, "stdout");
+  const stderrLog = openLogWriter(job.id, job.attempts, "stderr");
+  let stdout = "";
+
+  // Only the last `outputLimit` characters are returned, as with commands
+  const outcome = (fields) => ({
+    code: 1,
+    signal: null,
+    stdout: keepTail(stdout, outputLimit),
+    stderr: "",
+    timedOut: false,
+    cancelled: false,
+    result: null,
+    ...fields,
+  });
+  const failure = (message, fields = {}) => {
+    stderrLog.write(`${message}\n`);
+    return outcome({ stderr: keepTail(message, outputLimit), ...fields });
+  };
+  // The result is only reported once the logs are flushed to disk; a
+  // handler that keeps logging after that is not recorded
+  const settle = (result) => Promise.all([stdoutLog.close(), stderrLog.close()]).then(() => result);
+
+  if (typeof handler !== "function") return settle(failure(`no handler registered for '${job.handler}'`));
+
+  let payload;
+  try {
+    payload = job.payload === null || job.payload === undefined ? undefined : JSON.parse(job.payload);
+  } catch (err) {
+    return settle(failure(`invalid payload: ${err.message}`));
+  }
+
+  const abort = new AbortController();
+  const context = {
+    job,
+    attempt: job.attempts,
+    signal: abort.signal,
+    log(...args) {
+      const line = `${args.map((a) => (typeof a === "string" ? a : JSON.stringify(a))).join(" ")}\n`;
+      // Trimmed as it grows: the full output is in the log file
+      stdout = keepTail(stdout + line, outputLimit);
+      stdoutLog.write(line);
+    },
+  };
+
+  return new Promise((resolve) => {
+    let timer = null;
+    let settled = false;
+
+    function finish(result) {
+      if (settled) return;
+      settled = true;
+      if (timer) clearTimeout(timer);
+      if (signal) signal.removeEventListener("abort", onAbort);
+      settle(result).then(resolve);
+    }
+
+    function onAbort() {
+      abort.abort();
+      finish(outcome({ code: null, cancelled: true }));
+    }
+    if (signal) {
+      if (signal.aborted) return onAbort();
+      signal.addEventListener("abort", onAbort, { once: true });
+    }
+
+    if (timeoutSeconds && Number(timeoutSeconds) > 0) {
+      timer = setTimeout(() => {
+        abort.abort();
+        finish(failure(`timed out after ${timeoutSeconds}s`, { code: null, timedOut: true }));
+      }, Number(timeoutSeconds) * 1000);
+    }
+
+    Promise.resolve()
+      .then(() => handler(payload, context))
+      .then(
+        (value) => {
+          let result;
+          try {
+            result = value === undefined ? null : JSON.stringify(value);
+          } catch (err) {
+            return finish(failure(`handler result is not JSON-serializable: ${err.message}`));
+          }
+          finish(outcome({ code: 0, result }));
+        },
+        (err) => {
+          const code = err && isExitCode(err.exitCode) && err.exitCode !== 0 ? err.exitCode : 1;
+          finish(failure(err instanceof Error ? err.stack || err.message : String(err), { code }));
+        }
+      );
+  });
+}
+
+module.exports = { runHandler };
@@ -0,0 +1,73 @@
+// src/exec/hooks.js
+// Delivers one hook notification: an HTTP POST of the JSON payload for
+// http(s) targets, otherwise a shell command that gets the payload on stdin.
+// Resolves on success and rejects with the reason on failure.
+const crypto = require("crypto");
+const { spawn } = require("child_process");
+const { isWebhook } = require("../storage/hooks");
+const { instanceEnv } = require("../utils/instance");
+
+// Kept in last_error when a hook command fails
+const MAX_HOOK_STDERR = 1000;
+
+// "sha256=<hex HMAC of the raw body>", sent as X-QueueCTL-Signature
+function signPayload(secret, body) {
+  return "sha256=" + crypto.createHmac("sha256", secret).update(body).digest("hex");
+}
+
+async function postWebhook(delivery, { secret, timeoutSeconds }) {
+  const headers = {
+    "Content-Type": "application/json",
+    "User-Agent": "queuectl-hooks",
+    "X-QueueCTL-Event": delivery.event,
+    "X-QueueCTL-Delivery": String(delivery.id),
+  };
+  if (secret) headers["X-QueueCTL-Signature"] = signPayload(secret, delivery.payload);
+
+  const res = await fetch(delivery.target, {
+    method: "POST",
+    headers,
+    body: delivery.payload,
+    signal: AbortSignal.timeout(timeoutSeconds * 1000),
+  });
+  if (!res.ok) throw new Error(`HTTP ${res.status} ${res.statusText}`.trim());
+}
+
+function runHookCommand(delivery, { secret, timeoutSeconds }) {
+  return new Promise((resolve, reject) => {
+    const env = {
+      ...process.env,
+      ...instanceEnv(),
+      QUEUECTL_EVENT: delivery.event,
+      QUEUECTL_DELIVERY_ID: String(delivery.id),
+      QUEUECTL_JOB_ID: delivery.job_id || "",
+    };
+    if (secret) env.QUEUECTL_SIGNATURE = signPayload(secret, delivery.payload);
+
+    const child = spawn(delivery.target, {
+      shell: true,
+      env,
+      stdio: ["pipe", "ignore", "pipe"],
+      timeout: timeoutSeconds * 1000,
+    });
+    let stderr = "";
+    child.stderr.on("data", (d) => {
+      if (stderr.length < MAX_HOOK_STDERR) stderr += d.toString();
+    });
+    child.on("error", reject);
+    child.on("close", (code, signal) => {
+      if (code === 0) return resolve();
+      const detail = stderr.trim().slice(0, MAX_HOOK_STDERR);
+      reject(new Error(`${signal ? `killed by ${signal}` : `exit code ${code}`}${detail ? `: ${detail}` : ""}`));
+    });
+    // The command does not have to read its stdin
+    child.stdin.on("error", () => {});
+    child.stdin.end(delivery.payload);
+  });
+}
+
+function deliverHook(delivery, options) {
+  return isWebhook(delivery.target) ? postWebhook(delivery, options) : runHookCommand(delivery, options);
+}
+
+module.exports = { signPayload, deliverHook };
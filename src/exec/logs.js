@@ -0,0 +1,303 @@
+// src/exec/logs.js
+// Per-job log files: logs/<jobId>/<attempt>.stdout.log and .stderr.log.
+// A file that grows past `log-max-size` bytes is rotated to
+// <attempt>.<stream>.1.log.gz (older rotations shift to .2, .3, ...) and
+// only `log-max-files` rotations are kept.
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { pipeline } = require("stream/promises");
+const { getConfig } = require("../storage/config");
+const { currentInstance } = require("../utils/instance");
+
+const LOG_STREAMS = ["stdout", "stderr"];
+
+function logSettings() {
+  return {
+    maxBytes: parseInt(getConfig("log-max-size") || String(10 * 1024 * 1024), 10),
+    maxFiles: parseInt(getConfig("log-max-files") || "5", 10),
+  };
+}
+
+// Log directory of the selected instance
+function logDir() {
+  return currentInstance().logDir;
+}
+
+function jobLogDir(jobId) {
+  return path.join(logDir(), jobId);
+}
+
+function logPath(jobId, attempt, stream) {
+  return path.join(jobLogDir(jobId), `${attempt}.${stream}.log`);
+}
+
+function rotatedPath(jobId, attempt, stream, n) {
+  return path.join(jobLogDir(jobId), `${attempt}.${stream}.${n}.log.gz`);
+}
+
+function exists(file) {
+  return fs.promises.access(file).then(
+    () => true,
+    () => false
+  );
+}
+
+// Compress the live file into rotation 1, shifting older rotations up and
+// dropping the ones past maxFiles. The gzip is streamed next to rotation 1
+// first. Rotation 1 is replaced last, after the truncate, so a follower that
+// sees a new rotation 1 knows the live file has started over (see followLog).
+async function rotate(jobId, attempt, stream, maxFiles) {
+  const live = logPath(jobId, attempt, stream);
+  const first = rotatedPath(jobId, attempt, stream, 1);
+  if (maxFiles > 0) {
+    await pipeline(fs.createReadStream(live), zlib.createGzip(), fs.createWriteStream(`${first}.tmp`));
+  }
+  await fs.promises.truncate(live, 0);
+  for (let n = maxFiles; n >= 1; n--) {
+    const from = rotatedPath(jobId, attempt, stream, n);
+    if (!(await exists(from))) continue;
+    if (n === maxFiles) await fs.promises.unlink(from);
+    else await fs.promises.rename(from, rotatedPath(jobId, attempt, stream, n + 1));
+  }
+  if (maxFiles > 0) await fs.promises.rename(`${first}.tmp`, first);
+}
+
+/**
+ * Open the log file of one stream of one attempt for appending.
+ * Returns { write(chunk), close() }. Writes go through a write stream and
+ * rotation runs in the background (chunks written meanwhile are held and
+ * appended after it), so log I/O never blocks the worker's event loop.
+ * close() resolves once everything written is on disk. Write errors are
+ * ignored so a full disk never fails the job itself.
+ */
+function openLogWriter(jobId, attempt, stream, settings = logSettings()) {
+  const file = logPath(jobId, attempt, stream);
+  let size = 0;
+  let out = null;
+  let rotating = null;
+  let held = [];
+  let closed = false;
+  try {
+    fs.mkdirSync(jobLogDir(jobId), { recursive: true });
+    size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+  } catch (e) {
+    // ignore logging errors
+  }
+
+  function open() {
+    out = fs.createWriteStream(file, { flags: "a" });
+    out.on("error", () => {
+      // ignore logging errors
+    });
+  }
+  open();
+
+  function end() {
+    return new Promise((resolve) => out.end(resolve));
+  }
+
+  async function rotateInBackground() {
+    try {
+      await end();
+      await rotate(jobId, attempt, stream, settings.maxFiles);
+      size = 0;
+    } catch (e) {
+      // ignore logging errors; keep appending to the live file
+    }
+    open();
+    rotating = null;
+    const chunks = held;
+    held = [];
+    chunks.forEach(write);
+  }
+
+  function write(chunk) {
+    if (rotating) {
+      held.push(chunk);
+      return;
+    }
+    const length = Buffer.byteLength(chunk);
+    if (settings.maxBytes > 0 && size > 0 && size + length > settings.maxBytes) {
+      held.push(chunk);
+      rotating = rotateInBackground();
+      return;
+    }
+    out.write(chunk);
+    size += length;
+  }
+
+  return {
+    write(chunk) {
+      if (!closed) write(chunk);
+    },
+    close() {
+      if (!closed) {
+        closed = (async () => {
+          // A rotation can start another one while it appends the held chunks
+          while (rotating) await rotating;
+          await end();
+        })();
+      }
+      return closed;
+    },
+  };
+}
+
+function inodeOf(file) {
+  return fs.promises.stat(file).then(
+    (stat) => stat.ino,
+    () => null
+  );
+}
+
+function sizeOf(file) {
+  return fs.promises.stat(file).then(
+    (stat) => stat.size,
+    () => null
+  );
+}
+
+// Attempt numbers that have log files, ascending
+function loggedAttempts(jobId) {
+  let names = [];
+  try {
+    names = fs.readdirSync(jobLogDir(jobId));
+  } catch (e) {
+    return [];
+  }
+  const attempts = new Set();
+  for (const name of names) {
+    const match = /^(\d+)\.(stdout|stderr)\./.exec(name);
+    if (match) attempts.add(Number(match[1]));
+  }
+  return [...attempts].sort((a, b) => a - b);
+}
+
+// Pass bytes [start, end) of a file to onData as they are read
+function streamRange(file, start, end, onData) {
+  return pipeline(fs.createReadStream(file, { start, end: end - 1 }), async (source) => {
+    for await (const chunk of source) onData(chunk);
+  });
+}
+
+// Pass a rotation's decompressed output to onData, less its first `skip` bytes
+function streamRotation(file, skip, onData) {
+  return pipeline(fs.createReadStream(file), zlib.createGunzip(), async (source) => {
+    for await (const chunk of source) {
+      if (skip >= chunk.length) {
+        skip -= chunk.length;
+        continue;
+      }
+      onData(skip ? chunk.subarray(skip) : chunk);
+      skip = 0;
+    }
+  });
+}
+
+// The whole log of one stream of an attempt: rotations (oldest first) then the live file
+async function readLog(jobId, attempt, stream) {
+  const parts = [];
+  const collect = (chunk) => parts.push(chunk);
+  const rotations = [];
+  for (let n = 1; await exists(rotatedPath(jobId, attempt, stream, n)); n++) rotations.unshift(n);
+  for (const n of rotations) await streamRotation(rotatedPath(jobId, attempt, stream, n), 0, collect);
+  const live = logPath(jobId, attempt, stream);
+  const size = await sizeOf(live);
+  if (size) await streamRange(live, 0, size, collect);
+  return Buffer.concat(parts);
+}
+
+/**
+ * Tail one stream of an attempt while it is written. Everything already in
+ * the log is passed to `onData` first, then new output as it arrives
+ * (including output that was rotated away between polls). Polling stops once
+ * `isFinished()` returns true and the file has been drained, or on stop().
+ * Files are read asynchronously, so following never blocks the event loop.
+ * Returns { stop, done } where `done` resolves when following ends.
+ */
+function followLog(jobId, attempt, stream, { onData, isFinished, intervalMs = 500 }) {
+  const live = logPath(jobId, attempt, stream);
+  let stopped = false;
+  let timer = null;
+  let resolveDone;
+  const done = new Promise((r) => (resolveDone = r));
+  const emit = (chunk) => {
+    if (!stopped && chunk.length) onData(chunk);
+  };
+
+  // Bytes of the live file already passed on. Every rotation puts a new file
+  // at rotation 1, so its inode tells which rotations are new since the last
+  // poll; the first poll finds them all new.
+  let offset = 0;
+  let seen = null;
+
+  async function drain() {
+    const newest = await inodeOf(rotatedPath(jobId, attempt, stream, 1));
+    if (newest !== seen) {
+      // Mid-rotation, rotation 1 is briefly missing; wait for it
+      if (newest === null) return;
+      // New rotations, oldest first; the oldest holds the live file as it
+      // was at the last poll, of which `offset` bytes were read
+      const fresh = [];
+      for (let n = 1; ; n++) {
+        const ino = await inodeOf(rotatedPath(jobId, attempt, stream, n));
+        if (ino === null || ino === seen) break;
+        fresh.unshift(n);
+      }
+      for (const [i, n] of fresh.entries()) {
+        await streamRotation(rotatedPath(jobId, attempt, stream, n), i === 0 ? offset : 0, emit);
+      }
+      seen = newest;
+      offset = 0;
+    }
+
+    const size = await sizeOf(live);
+    if (size === null) return;
+    if (size < offset) {
+      // Truncated before its rotation is in place: wait for it, unless no
+      // rotations are kept and the output is gone
+      if (logSettings().maxFiles > 0) return;
+      offset = 0;
+    }
+    if (size > offset) {
+      await streamRange(live, offset, size, emit);
+      offset = size;
+    }
+  }
+
+  function stop() {
+    stopped = true;
+    clearTimeout(timer);
+    resolveDone();
+  }
+
+  async function tick() {
+    if (stopped) return;
+    try {
+      const finished = isFinished();
+      await drain();
+      if (finished) return stop();
+    } catch (err) {
+      console.error("Log follow failed:", err.message);
+      return stop();
+    }
+    if (!stopped) timer = setTimeout(tick, intervalMs);
+  }
+  tick();
+
+  return { stop, done };
+}
+
+module.exports = {
+  logDir,
+  LOG_STREAMS,
+  logSettings,
+  jobLogDir,
+  logPath,
+  rotatedPath,
+  openLogWriter,
+  loggedAttempts,
+  readLog,
+  followLog,
+};
@@ -1,46 +1,108 @@
 // src/exec/runner.js
 const { spawn } = require("child_process");
 const fs = require("fs");
-const path = require("path");
+const { openLogWriter } = require("./logs");
+const { instanceEnv } = require("../utils/instance");
+
+// Grace period between SIGTERM and SIGKILL when a job is cancelled
+const CANCEL_GRACE_MS = 5000;
+
+// The command runs in its own process group (detached) so that killing it
+// also kills anything the shell started.
+function killTree(child, signal) {
+  try {
+    process.kill(-child.pid, signal);
+  } catch (e) {
+    try {
+      child.kill(signal);
+    } catch (e2) {
+      // already gone
+    }
+  }
+}
+
+// Keeps only the last `limit` characters pushed to it (everything when limit is 0)
+function createTail(limit) {
+  let text = "";
+  let dropped = 0;
+  return {
+    push(s) {
+      text += s;
+      if (limit > 0 && text.length > limit) {
+        dropped += text.length - limit;
+        text = text.slice(-limit);
+      }
+    },
+    toString() {
+      return dropped ? `…[${dropped} earlier chars truncated]\n${text}` : text;
+    },
+  };
+}
 
 /**
- * Run the job.command in a shell, stream stdout/stderr to a per-job log,
- * and enforce an optional timeout (seconds). Returns an object:
- * { code: number|null, stdout: string, stderr: string, timedOut: boolean }
+ * Run the job.command in a shell, stream stdout/stderr to the log files of
+ * attempt `job.attempts` (see logs.js), and enforce an optional timeout
+ * (seconds). Only the last `options.outputLimit` characters of each stream
+ * are kept in memory and returned. Aborting `options.signal`
+ * (an AbortSignal) cancels the command. `options.cwd` sets the working
+ * directory and `options.env` is merged over the worker's environment
+ * (pointed at the worker's instance).
+ * Returns an object:
+ * { code: number|null, signal: string|null, stdout: string, stderr: string, timedOut: boolean, cancelled: boolean }
  */
-async function runCommand(job, timeoutSeconds = null) {
+async function runCommand(
+  job,
+  timeoutSeconds = null,
+  { signal = null, cwd = null, env = {}, outputLimit = 4096 } = {}
+) {
   return new Promise((resolve) => {
-    const logDir = path.resolve(__dirname, "../../logs");
-    fs.mkdirSync(logDir, { recursive: true });
-    const logPath = path.resolve(logDir, `${job.id}.log`);
+    const stdoutLog = openLogWriter(job.id, job.attempts, "stdout");
+    const stderrLog = openLogWriter(job.id, job.attempts, "stderr");
+    // The result is only reported once the logs are flushed to disk
+    const finish = (result) => Promise.all([stdoutLog.close(), stderrLog.close()]).then(() => resolve(result));
+
+    // spawn() reports a missing cwd as a confusing "spawn /bin/sh ENOENT"
+    if (cwd && !(fs.existsSync(cwd) && fs.statSync(cwd).isDirectory())) {
+      const message = `working directory not found: ${cwd}`;
+      stderrLog.write(`${message}\n`);
+      finish({ code: 1, signal: null, stdout: "", stderr: message, timedOut: false, cancelled: false });
+      return;
+    }
 
     const child = spawn(job.command, {
       shell: true,
+      cwd: cwd || undefined,
+      env: { ...process.env, ...instanceEnv(), ...env },
+      detached: process.platform !== "win32",
       stdio: ["ignore", "pipe", "pipe"],
     });
 
-    let stdout = "";
-    let stderr = "";
+    const stdout = createTail(outputLimit);
+    const stderr = createTail(outputLimit);
     let timedOut = false;
+    let cancelled = false;
     let timer = null;
+    let killTimer = null;
 
-    // append initial header to the job log
-    try {
-      fs.appendFileSync(logPath, `\n=== Run at ${new Date().toISOString()} ===\n`);
-    } catch (e) {
-      // ignore logging errors
+    // Cancellation: SIGTERM the command, SIGKILL it if it is still running after the grace period
+    function onAbort() {
+      cancelled = true;
+      killTree(child, "SIGTERM");
+      killTimer = setTimeout(() => killTree(child, "SIGKILL"), CANCEL_GRACE_MS);
+    }
+    if (signal) {
+      if (signal.aborted) onAbort();
+      else signal.addEventListener("abort", onAbort, { once: true });
     }
 
     child.stdout.on("data", (chunk) => {
-      const s = chunk.toString();
-      stdout += s;
-      try { fs.appendFileSync(logPath, s); } catch (e) {}
+      stdout.push(chunk.toString());
+      stdoutLog.write(chunk);
     });
 
     child.stderr.on("data", (chunk) => {
-      const s = chunk.toString();
-      stderr += s;
-      try { fs.appendFileSync(logPath, s); } catch (e) {}
+      stderr.push(chunk.toString());
+      stderrLog.write(chunk);
     });
 
     // Setup timeout if requested
@@ -48,34 +110,42 @@ async function runCommand(job, timeoutSeconds = null) {
       const timeoutMs = Number(timeoutSeconds) * 1000;
       timer = setTimeout(() => {
         timedOut = true;
-        try {
-          // force kill
-          child.kill("SIGKILL");
-        } catch (e) {
-          // ignore
-        }
+        // force kill
+        killTree(child, "SIGKILL");
       }, timeoutMs);
     }
 
-    child.on("close", (code, signal) => {
+    function cleanup() {
       if (timer) clearTimeout(timer);
-      // append footer
-      try {
-        fs.appendFileSync(
-          logPath,
-          `\n=== Exit code: ${code} | signal: ${signal} | timedOut: ${timedOut} ===\n`
-        );
-      } catch (e) {}
+      if (killTimer) clearTimeout(killTimer);
+      if (signal) signal.removeEventListener("abort", onAbort);
+    }
+
+    child.on("close", (code, exitSignal) => {
+      cleanup();
       // If process was killed by timeout it may return null code; we still propagate timedOut flag.
-      resolve({ code, stdout, stderr, timedOut });
+      finish({
+        code,
+        signal: exitSignal,
+        stdout: stdout.toString(),
+        stderr: stderr.toString(),
+        timedOut,
+        cancelled,
+      });
     });
 
     child.on("error", (err) => {
-      if (timer) clearTimeout(timer);
-      try {
-        fs.appendFileSync(logPath, `\n=== Error: ${err.message} ===\n`);
-      } catch (e) {}
-      resolve({ code: 1, stdout, stderr: stderr + "\n" + err.message, timedOut: false });
+      cleanup();
+      stderrLog.write(`\n${err.message}\n`);
+      stderr.push(`\n${err.message}`);
+      finish({
+        code: 1,
+        signal: null,
+        stdout: stdout.toString(),
+        stderr: stderr.toString(),
+        timedOut: false,
+        cancelled: false,
+      });
     });
   });
 }
@@ -1 +1,201 @@
- d
\ No newline at end of file
+// src/index.js
+// Node.js API. A Queue enqueues and inspects jobs of one named queue and runs
+// JavaScript handler jobs in this process. It shares the database with the
+// CLI, so retries, the DLQ, hooks, CLI workers and the dashboard all see the
+// same jobs.
+//
+//   const { Queue } = require("quectl");
+//   const emails = new Queue("emails", { profile: "staging" });
+//   emails.process("send-welcome", async (payload, { log }) => {
+//     log("sending to", payload.to);
+//     return { sent: true };
+//   });
+//   emails.enqueue("send-welcome", { to: "ada@example.com" }, { max_retries: 5 });
+//   emails.enqueue({ command: "echo hello" });
+//   emails.on("completed", (job) => console.log(job.id, job.result));
+const { EventEmitter } = require("events");
+const { getDb, useDatabase } = require("./db/database");
+const { resolveInstance, selectInstance } = require("./utils/instance");
+const { JOB_STATES, validateJobInput, insertJob, getJob, cancelJob } = require("./storage/jobs");
+const { createJobChangeFeed } = require("./storage/changes");
+const { runWorker, startMaintenance } = require("./worker/worker");
+const { ValidationError } = require("./utils/errors");
+
+// Events besides the job states: `failed` when an attempt fails (the job is
+// then pending again or dead) and `change` for every state change
+const JOB_EVENTS = [...JOB_STATES, "change"];
+
+const SILENT_LOGGER = { log() {}, warn() {}, error() {} };
+
+// Stored JSON (payload, result) back to values
+function parseJson(text) {
+  return text === null || text === undefined ? null : JSON.parse(text);
+}
+
+function formatJob(row) {
+  if (!row) return null;
+  return { ...row, payload: parseJson(row.payload), result: parseJson(row.result) };
+}
+
+class Queue extends EventEmitter {
+  /**
+   * `name` is the queue the jobs go to and the handlers take work from.
+   * Options:
+   *  - db / dataDir / profile: the instance, as with the CLI's --db,
+   *    --data-dir and --profile (default: the environment, see
+   *    utils/instance.js; process.env itself is not changed). A process
+   *    works on one database at a time.
+   *  - concurrency: handler jobs run at once in this process (default 1)
+   *  - pollInterval: ms between checks for job events (default 500)
+   *  - logger: receives the worker's progress (default console, null = quiet)
+   */
+  constructor(name = "default", { db, dataDir, profile, concurrency = 1, pollInterval = 500, logger = console } = {}) {
+    super();
+    if (typeof name !== "string" || !name.trim()) throw new ValidationError("Queue name must be a non-empty string");
+    if (!(Number.isInteger(concurrency) && concurrency > 0)) {
+      throw new ValidationError("'concurrency' must be a positive integer");
+    }
+    if (db || dataDir || profile) {
+      const options = { db, dataDir, profile };
+      // Refuses when this process already has another database open
+      useDatabase(resolveInstance(options).dbPath);
+      selectInstance(options);
+    }
+    getDb();
+
+    this.name = name;
+    this.concurrency = concurrency;
+    this.pollInterval = pollInterval;
+    this.logger = logger || SILENT_LOGGER;
+    this.handlers = new Map();
+    this.workers = null;
+    this.stopWorkers = null;
+    this.maintenance = null;
+    this.feedTimer = null;
+    this.closed = false;
+
+    // Job events are read from the database, so they cover jobs run by any
+    // worker; polling starts with the first listener
+    this.on("newListener", (event) => {
+      if (JOB_EVENTS.includes(event)) this.watch();
+    });
+  }
+
+  /**
+   * Enqueue a handler job, enqueue("handler-name", payload, options), or any
+   * job object as the CLI takes it, enqueue({ command: "echo hi", ... }).
+   * Options are the job fields (priority, delay, max_retries, timeout,
+   * depends_on, idempotency_key, ...). Returns the job; a job suppressed by
+   * its idempotency_key comes back as the existing one with `duplicate: true`.
+   */
+  enqueue(handlerOrJob, payload, options = {}) {
+    const data =
+      typeof handlerOrJob === "string" ? { ...options, handler: handlerOrJob, payload } : { ...handlerOrJob };
+    if (data.queue !== undefined && data.queue !== this.name) {
+      throw new ValidationError(`Job is for queue '${data.queue}', not '${this.name}'`);
+    }
+    data.queue = this.name;
+    return formatJob(insertJob(validateJobInput(data)));
+  }
+
+  // The job with its payload and result parsed, or null
+  getJob(id) {
+    return formatJob(getJob(id));
+  }
+
+  /**
+   * Cancel a job (see cancelJob): a running handler sees its context.signal
+   * abort. Throws NotFoundError / ConflictError. Returns the updated job.
+   */
+  cancel(id) {
+    return formatJob(cancelJob(id));
+  }
+
+  /**
+   * Run jobs for handler `name` in this process: `handler(payload, context)`
+   * with context { job, attempt, signal, log } (see exec/handler.js). Its
+   * return value becomes the job's result; throwing fails the attempt, which
+   * is retried or sent to the DLQ like a failed command. The workers started
+   * here run this queue's shell command jobs as well.
+   */
+  process(name, handler) {
+    if (this.closed) throw new Error("Queue is closed");
+    if (typeof name !== "string" || !name.trim()) throw new ValidationError("Handler name must be a non-empty string");
+    if (typeof handler !== "function") throw new ValidationError("Handler must be a function");
+    if (this.handlers.has(name)) throw new ValidationError(`A handler for '${name}' is already registered`);
+    this.handlers.set(name, handler);
+    this.start();
+    return this;
+  }
+
+  /**
+   * Start the in-process workers (process() does this on its own). They only
+   * run jobs: with `maintenance: true` this process also takes part in the
+   * duties CLI workers share (the lease reaper, hook delivery and automatic
+   * retention); leave it off when CLI workers run beside it.
+   */
+  start({ maintenance = false } = {}) {
+    if (this.closed) throw new Error("Queue is closed");
+    if (maintenance && !this.maintenance) this.maintenance = startMaintenance(getDb(), { logger: this.logger });
+    if (this.workers) return this;
+    // Worker loops share the handler map, so handlers registered later are
+    // picked up by the next claim
+    const abort = new AbortController();
+    this.stopWorkers = () => abort.abort();
+    this.workers = Array.from({ length: this.concurrency }, () =>
+      runWorker({
+        queues: [this.name],
+        handlers: this.handlers,
+        signal: abort.signal,
+        logger: this.logger,
+        maintenance: false,
+      }).catch((err) => this.reportError(err))
+    );
+    return this;
+  }
+
+  watch() {
+    if (this.feedTimer || this.closed) return;
+    const poll = createJobChangeFeed(getDb());
+    const tick = () => {
+      try {
+        for (const row of poll()) {
+          if (row.queue !== this.name) continue;
+          // The job as it is now, which may already be past `row.state`
+          const job = formatJob(getJob(row.id));
+          if (!job) continue;
+          if ((row.state === "pending" || row.state === "dead") && row.attempts > 0 && row.last_error) {
+            this.emit("failed", job);
+          }
+          this.emit(row.state, job);
+          this.emit("change", job);
+        }
+      } catch (err) {
+        this.reportError(err);
+      }
+      if (!this.closed) this.feedTimer = setTimeout(tick, this.pollInterval);
+    };
+    this.feedTimer = setTimeout(tick, this.pollInterval);
+  }
+
+  // An `error` event when someone listens for it; otherwise logged, so a
+  // failed poll never crashes the host process
+  reportError(err) {
+    if (this.listenerCount("error") > 0) this.emit("error", err);
+    else this.logger.error("Queue error:", err.message);
+  }
+
+  /**
+   * Stop polling for events and stop the workers once their current jobs are
+   * done. Resolves when they have stopped.
+   */
+  async close() {
+    this.closed = true;
+    clearTimeout(this.feedTimer);
+    this.feedTimer = null;
+    if (this.stopWorkers) this.stopWorkers();
+    await Promise.all([...(this.workers || []), this.maintenance && this.maintenance.stop()]);
+  }
+}
+
+module.exports = { Queue };
@@ -1,39 +1,365 @@
 #!/usr/bin/env node
 const express = require("express");
-const Database = require("better-sqlite3");
+const crypto = require("crypto");
 const path = require("path");
-const { DB_PATH } = require("./db/database");
+const { getDb, databasePath } = require("./db/database");
+const { listWorkers } = require("./storage/workers");
+const { listAttempts, attemptFinished } = require("./storage/attempts");
+const { createJobChangeFeed } = require("./storage/changes");
+const { collectMetrics } = require("./storage/metrics");
+const { DELIVERY_STATES, listConfiguredHooks, listDeliveries, retryDelivery } = require("./storage/hooks");
+const { LOG_STREAMS, followLog } = require("./exec/logs");
+const { StringDecoder } = require("string_decoder");
+const {
+  JOB_STATES,
+  validateJobInput,
+  insertJob,
+  getJob,
+  listJobs,
+  listDeadJobs,
+  retryDeadJob,
+  retryJob,
+  purgeDeadJobs,
+  cancelJob,
+  deleteJob,
+  getParents,
+  jobOptionDefaults,
+  effectiveJobOptions,
+} = require("./storage/jobs");
+const { getConfig, setConfig, listConfig } = require("./storage/config");
+const { ValidationError, NotFoundError, ConflictError } = require("./utils/errors");
+const { CONTENT_TYPE: PROMETHEUS_CONTENT_TYPE, formatMetrics } = require("./utils/prometheus");
 
 const app = express();
 const PORT = process.env.PORT || 8080;
+// Loopback only unless another address is asked for (dashboard --host)
+const HOST = process.env.QUEUECTL_HOST || "127.0.0.1";
+// Requests that change anything need this bearer token; without
+// QUEUECTL_API_TOKEN a fresh one is made for each run and printed at startup
+const API_TOKEN = process.env.QUEUECTL_API_TOKEN || crypto.randomBytes(24).toString("hex");
 
 // Serve static assets (none yet, but good practice)
 app.use(express.static(path.join(__dirname, "public")));
+app.use(express.json());
 
-// --- API Endpoint: Summary Stats ---
-app.get("/api/stats", (req, res) => {
-  const db = new Database(DB_PATH);
+// --- Auth: reads are open to whoever can reach the server, writes need the token ---
+const READ_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
+
+function hasApiToken(req) {
+  const match = /^Bearer (.+)$/.exec(req.get("authorization") || "");
+  if (!match) return false;
+  const given = Buffer.from(match[1]);
+  const expected = Buffer.from(API_TOKEN);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+app.use("/api", (req, res, next) => {
+  if (READ_METHODS.has(req.method) || hasApiToken(req)) return next();
+  res.status(401).json({ error: "Missing or wrong API token (send Authorization: Bearer <token>)" });
+});
+
+// Summary counters shared by /api/stats and the event stream
+function readStats(db) {
   const total = db.prepare("SELECT COUNT(*) as c FROM jobs").get().c;
   const states = db.prepare("SELECT state, COUNT(*) as c FROM jobs GROUP BY state").all();
+  const queues = db
+    .prepare("SELECT queue, state, COUNT(*) as c FROM jobs GROUP BY queue, state ORDER BY queue")
+    .all();
   const dlq = db
     .prepare(
       "SELECT id, command, attempts, last_error, updated_at FROM jobs WHERE state='dead' ORDER BY updated_at DESC LIMIT 5"
     )
     .all();
-  db.close();
-  res.json({ total, states, dlq });
+  return { total, states, queues, dlq };
+}
+
+// --- API Endpoint: Summary Stats ---
+app.get("/api/stats", (req, res) => {
+  res.json(readStats(getDb()));
+});
+
+// --- Server-Sent Events ---
+// How often the database is checked for job changes while anyone listens,
+// and how often counters are pushed even without changes (worker heartbeats)
+const EVENT_POLL_MS = 1000;
+const STATS_PUSH_MS = 5000;
+const SSE_KEEPALIVE_MS = 15000;
+
+function openEventStream(req, res) {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+  const keepalive = setInterval(() => res.write(": keepalive\n\n"), SSE_KEEPALIVE_MS);
+  req.on("close", () => clearInterval(keepalive));
+}
+
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// One poller serves every /api/events client; it runs only while one is connected
+const eventClients = new Set();
+let changeFeed = null;
+
+function pushStats(targets) {
+  const stats = { ...readStats(getDb()), workers: listWorkers() };
+  for (const res of targets) sendEvent(res, "stats", stats);
+  changeFeed.lastStatsAt = Date.now();
+}
+
+function startChangeFeed() {
+  changeFeed = { poll: createJobChangeFeed(getDb()), lastStatsAt: 0 };
+  changeFeed.timer = setInterval(() => {
+    try {
+      const changed = changeFeed.poll();
+      for (const job of changed) {
+        for (const res of eventClients) sendEvent(res, "job", job);
+      }
+      if (changed.length || Date.now() - changeFeed.lastStatsAt >= STATS_PUSH_MS) pushStats(eventClients);
+    } catch (err) {
+      console.error("Event feed failed:", err.message);
+    }
+  }, EVENT_POLL_MS);
+}
+
+function stopChangeFeed() {
+  clearInterval(changeFeed.timer);
+  changeFeed = null;
+}
+
+// --- API Endpoint: Event stream ("job" on every state change, "stats" counters) ---
+app.get("/api/events", (req, res) => {
+  if (!changeFeed) startChangeFeed();
+  openEventStream(req, res);
+  eventClients.add(res);
+  pushStats([res]);
+  req.on("close", () => {
+    eventClients.delete(res);
+    if (eventClients.size === 0 && changeFeed) stopChangeFeed();
+  });
 });
 
-// --- API Endpoint: List Jobs by State ---
-app.get("/api/jobs/:state", (req, res) => {
-  const db = new Database(DB_PATH);
-  const jobs = db
+// Recent jobs in one state, with the dependencies blocked jobs wait on
+function recentJobsByState(state) {
+  const jobs = getDb()
     .prepare(
-      "SELECT id, command, attempts, max_retries, updated_at FROM jobs WHERE state = ? ORDER BY updated_at DESC LIMIT 20"
+      `SELECT id, command, attempts, max_retries, timeout, backoff, cwd, env,
+        retry_policy, max_delay, retry_on, no_retry_on, retry_on_timeout, updated_at,
+        (SELECT group_concat(d.depends_on, ',') FROM job_dependencies d
+         JOIN jobs p ON p.id = d.depends_on
+         WHERE d.job_id = jobs.id AND p.state != 'completed') AS waiting_on
+       FROM jobs WHERE state = ? ORDER BY updated_at DESC LIMIT 20`
     )
-    .all(req.params.state);
-  db.close();
-  res.json(jobs);
+    .all(state);
+  const defaults = jobOptionDefaults();
+  return jobs.map((job) => describeJob(job, defaults));
+}
+
+// API view of a job: its JSON columns decoded, the options it effectively
+// runs with (own values or the global config) and, for single jobs, its
+// dependencies
+function describeJob(job, defaults = jobOptionDefaults()) {
+  const decoded = {};
+  for (const col of ["env", "retry_on", "no_retry_on", "on_complete", "on_dead"]) {
+    if (col in job) decoded[col] = job[col] ? JSON.parse(job[col]) : null;
+  }
+  if (job.retry_on_timeout !== undefined && job.retry_on_timeout !== null) {
+    decoded.retry_on_timeout = Boolean(job.retry_on_timeout);
+  }
+  return { ...job, ...decoded, effective: effectiveJobOptions(job, defaults) };
+}
+
+function withDependencies(job) {
+  return { ...describeJob(job), depends_on: getParents(job.id).map((p) => p.id) };
+}
+
+function parseLimit(value, fallback) {
+  if (value === undefined) return fallback;
+  const limit = parseInt(value, 10);
+  if (!(limit > 0)) throw new ValidationError("'limit' must be a positive integer");
+  return limit;
+}
+
+// --- API Endpoint: List Jobs (?state=&queue=&limit=) ---
+app.get("/api/jobs", (req, res) => {
+  const { state, queue } = req.query;
+  if (state !== undefined && !JOB_STATES.includes(state)) {
+    throw new ValidationError(`Unknown state '${state}' (expected ${JOB_STATES.join(" | ")})`);
+  }
+  const limit = parseLimit(req.query.limit, 50);
+  const defaults = jobOptionDefaults();
+  res.json(listJobs(state, queue).slice(0, limit).map((job) => describeJob(job, defaults)));
+});
+
+// --- API Endpoint: Enqueue (same fields as `queuectl enqueue`) ---
+// A duplicate idempotency_key returns the existing job with 200 instead of 201
+app.post("/api/jobs", (req, res) => {
+  const job = insertJob(validateJobInput(req.body));
+  const body = { ...withDependencies(getJob(job.id)), duplicate: Boolean(job.duplicate) };
+  res.status(job.duplicate ? 200 : 201).json(body);
+});
+
+// --- API Endpoint: Job by ID (or, for a state name, recent jobs in that state) ---
+app.get("/api/jobs/:id", (req, res) => {
+  if (JOB_STATES.includes(req.params.id)) {
+    res.json(recentJobsByState(req.params.id));
+    return;
+  }
+  const job = getJob(req.params.id);
+  if (!job) throw new NotFoundError(`Job ${req.params.id} not found`);
+  res.json(withDependencies(job));
+});
+
+// --- API Endpoint: Live output of a job (?attempt=, ?stream=stdout|stderr) ---
+// Streams "output" events with the log so far and then new output as it is
+// written, and "end" once the attempt is over. Without ?attempt it follows
+// the running attempt, or the next one for a job that is waiting to run.
+app.get("/api/jobs/:id/logs/stream", (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) throw new NotFoundError(`Job ${req.params.id} not found`);
+  const stream = req.query.stream || "stdout";
+  if (!LOG_STREAMS.includes(stream)) {
+    throw new ValidationError(`'stream' must be one of ${LOG_STREAMS.join(" | ")}`);
+  }
+  let attempt = ["pending", "blocked"].includes(job.state) ? job.attempts + 1 : job.attempts;
+  if (req.query.attempt !== undefined) {
+    attempt = parseInt(req.query.attempt, 10);
+    if (!(attempt > 0)) throw new ValidationError("'attempt' must be a positive integer");
+  }
+
+  openEventStream(req, res);
+  sendEvent(res, "attempt", { attempt, stream });
+  if (attempt === 0) {
+    sendEvent(res, "end", { attempt });
+    res.end();
+    return;
+  }
+
+  const decoder = new StringDecoder("utf8");
+  const follower = followLog(job.id, attempt, stream, {
+    onData: (chunk) => sendEvent(res, "output", { text: decoder.write(chunk) }),
+    isFinished: () => attemptFinished(getDb(), job.id, attempt),
+  });
+  req.on("close", follower.stop);
+  follower.done.then(() => {
+    if (!res.writableEnded) {
+      sendEvent(res, "end", { attempt });
+      res.end();
+    }
+  });
+});
+
+// --- API Endpoint: Execution attempts of a job ---
+app.get("/api/jobs/:id/attempts", (req, res) => {
+  if (!getJob(req.params.id)) throw new NotFoundError(`Job ${req.params.id} not found`);
+  const attempts = listAttempts(req.params.id).map((a) => ({
+    ...a,
+    timed_out: Boolean(a.timed_out),
+    cancelled: Boolean(a.cancelled),
+  }));
+  res.json(attempts);
+});
+
+app.post("/api/jobs/:id/retry", (req, res) => {
+  res.json(withDependencies(retryJob(req.params.id)));
+});
+
+// 200 when cancelled right away, 202 when the owning worker still has to kill it
+app.post("/api/jobs/:id/cancel", (req, res) => {
+  const job = cancelJob(req.params.id);
+  res.status(job.state === "cancelled" ? 200 : 202).json(withDependencies(job));
+});
+
+app.delete("/api/jobs/:id", (req, res) => {
+  deleteJob(req.params.id);
+  res.status(204).end();
+});
+
+// --- API Endpoints: Dead Letter Queue ---
+app.get("/api/dlq", (req, res) => {
+  res.json(listDeadJobs());
+});
+
+// Retry every dead job
+app.post("/api/dlq/retry", (req, res) => {
+  // A job whose parent is still dead is skipped; retrying that parent
+  // revives it anyway if it was taken down by the parent's failure
+  const retried = listDeadJobs()
+    .filter((job) => {
+      try {
+        return retryDeadJob(job.id);
+      } catch (err) {
+        if (err instanceof ConflictError) return false;
+        throw err;
+      }
+    })
+    .map((job) => job.id);
+  res.json({ retried });
+});
+
+app.post("/api/dlq/:id/retry", (req, res) => {
+  res.json(withDependencies(retryJob(req.params.id)));
+});
+
+// Purge every dead job
+app.delete("/api/dlq", (req, res) => {
+  res.json({ deleted: purgeDeadJobs() });
+});
+
+app.delete("/api/dlq/:id", (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) throw new NotFoundError(`Job ${req.params.id} not found`);
+  if (job.state !== "dead") throw new ConflictError(`Job ${req.params.id} is ${job.state}, not dead`);
+  res.json({ deleted: purgeDeadJobs(req.params.id) });
+});
+
+// --- API Endpoints: Config ---
+app.get("/api/config", (req, res) => {
+  res.json(Object.fromEntries(listConfig().map((r) => [r.key, r.value])));
+});
+
+app.get("/api/config/:key", (req, res) => {
+  const value = getConfig(req.params.key);
+  if (value === undefined) throw new NotFoundError(`No value set for '${req.params.key}'`);
+  res.json({ key: req.params.key, value });
+});
+
+app.put("/api/config/:key", (req, res) => {
+  const value = req.body && req.body.value;
+  if (!["string", "number"].includes(typeof value) || String(value).trim() === "") {
+    throw new ValidationError("Body must be JSON like {\"value\": \"3\"}");
+  }
+  setConfig(req.params.key, String(value));
+  res.json({ key: req.params.key, value: String(value) });
+});
+
+// --- API Endpoint: Worker Registry ---
+app.get("/api/workers", (req, res) => {
+  res.json(listWorkers());
+});
+
+// --- API Endpoint: Hooks (global hooks from config + the delivery outbox) ---
+app.get("/api/hooks", (req, res) => {
+  const state = req.query.state || null;
+  if (state && !DELIVERY_STATES.includes(state)) {
+    throw new ValidationError(`'state' must be one of ${DELIVERY_STATES.join(" | ")}`);
+  }
+  res.json({
+    hooks: listConfiguredHooks(),
+    deliveries: listDeliveries({ state, limit: parseLimit(req.query.limit, 20) }),
+  });
+});
+
+app.post("/api/hooks/deliveries/:id/retry", (req, res) => {
+  res.json(retryDelivery(parseInt(req.params.id, 10)));
+});
+
+// --- Prometheus scrape endpoint ---
+app.get("/metrics", (req, res) => {
+  res.type(PROMETHEUS_CONTENT_TYPE).send(formatMetrics(collectMetrics()));
 });
 
 // --- Web UI ---
@@ -49,11 +375,14 @@ app.get("/", (req, res) => {
     <style>
       .collapsible { cursor: pointer; }
       .content { display: none; padding-top: 8px; }
+      .job-row { cursor: pointer; }
+      .job-row:hover { background: #eef2ff; }
     </style>
   </head>
   <body class="bg-gray-50 text-gray-800">
     <div class="max-w-6xl mx-auto mt-10">
       <h1 class="text-3xl font-bold text-indigo-700 mb-4 text-center">📊 QueueCTL Dashboard (Live)</h1>
+      <p class="text-center text-sm text-gray-500 mb-4" id="connection">connecting...</p>
 
       <div class="grid grid-cols-2 gap-6">
         <!-- Chart Section -->
@@ -73,6 +402,24 @@ app.get("/", (req, res) => {
         </div>
       </div>
 
+      <!-- Workers -->
+      <div class="mt-10 bg-white p-6 rounded-xl shadow">
+        <h2 class="text-lg font-semibold mb-3">Workers <span class="text-gray-500 text-sm" id="activeWorkers"></span></h2>
+        <table class="table-auto w-full text-sm" id="workerTable">
+          <thead><tr class="border-b"><th>ID</th><th>State</th><th>PID / Host</th><th>Queues</th><th>Current Job</th><th>Processed</th><th>Failed</th><th>Last Heartbeat</th></tr></thead>
+          <tbody></tbody>
+        </table>
+      </div>
+
+      <!-- Per-Queue Breakdown -->
+      <div class="mt-10 bg-white p-6 rounded-xl shadow">
+        <h2 class="text-lg font-semibold mb-3">Queues</h2>
+        <table class="table-auto w-full text-sm" id="queueTable">
+          <thead><tr class="border-b"><th>Queue</th><th>Pending</th><th>Blocked</th><th>Processing</th><th>Completed</th><th>Dead</th></tr></thead>
+          <tbody></tbody>
+        </table>
+      </div>
+
       <!-- Expandable Lists -->
       <div class="mt-10 bg-white p-6 rounded-xl shadow">
         <h2 class="text-lg font-semibold mb-3">Job Lists by State</h2>
@@ -80,11 +427,37 @@ app.get("/", (req, res) => {
       </div>
     </div>
 
+    <!-- Job Detail (opened by clicking a job) -->
+    <div id="jobDetail" class="hidden fixed inset-0 bg-black bg-opacity-40 overflow-y-auto">
+      <div class="max-w-5xl mx-auto my-10 bg-white p-6 rounded-xl shadow">
+        <div class="flex justify-between items-center mb-3">
+          <h2 class="text-lg font-semibold" id="detailTitle"></h2>
+          <button class="text-gray-500 hover:text-gray-800" onclick="closeJob()">✕ Close</button>
+        </div>
+        <div class="text-sm grid grid-cols-2 gap-2 mb-4" id="detailFields"></div>
+        <h3 class="font-semibold text-indigo-700">Attempts</h3>
+        <table class="table-auto w-full text-sm mb-4" id="attemptTable">
+          <thead><tr class="border-b"><th>#</th><th>Outcome</th><th>Exit</th><th>Duration</th><th>Started</th><th>Worker</th><th>Error</th></tr></thead>
+          <tbody></tbody>
+        </table>
+        <div class="flex items-center gap-3 mb-2">
+          <h3 class="font-semibold text-indigo-700">Output</h3>
+          <button class="px-2 rounded border" id="btnStdout" onclick="followOutput('stdout')">stdout</button>
+          <button class="px-2 rounded border" id="btnStderr" onclick="followOutput('stderr')">stderr</button>
+          <span class="text-gray-500 text-sm" id="outputStatus"></span>
+        </div>
+        <pre class="bg-gray-900 text-green-200 text-xs p-3 rounded h-80 overflow-y-auto whitespace-pre-wrap" id="jobOutput"></pre>
+      </div>
+    </div>
+
     <script>
+      // Everything from the database is text: escape it before it goes into HTML
+      function esc(value) {
+        return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+      }
+
       let chart;
-      async function fetchStats() {
-        const res = await fetch('/api/stats');
-        const data = await res.json();
+      function renderStats(data) {
         const labels = data.states.map(s => s.state);
         const values = data.states.map(s => s.c);
 
@@ -92,7 +465,7 @@ app.get("/", (req, res) => {
           const ctx = document.getElementById('stateChart').getContext('2d');
           chart = new Chart(ctx, {
             type: 'doughnut',
-            data: { labels, datasets: [{ data: values, backgroundColor: ['#60a5fa','#34d399','#fbbf24','#f87171','#a78bfa'] }] },
+            data: { labels, datasets: [{ data: values, backgroundColor: ['#60a5fa','#34d399','#fbbf24','#f87171','#a78bfa','#9ca3af','#d1d5db'] }] },
             options: { plugins: { legend: { position: 'bottom' } } }
           });
         } else {
@@ -106,54 +479,203 @@ app.get("/", (req, res) => {
         // Update DLQ table
         const tbody = document.querySelector('#dlqTable tbody');
         tbody.innerHTML = data.dlq.map(d => 
-          \`<tr class="border-b"><td>\${d.id.slice(0,6)}...</td><td>\${d.command}</td><td class="text-center">\${d.attempts}</td><td class="text-red-600">\${d.last_error || ''}</td></tr>\`
+          \`<tr class="border-b job-row" data-id="\${esc(d.id)}"><td>\${esc(d.id.slice(0,6))}...</td><td>\${esc(d.command)}</td><td class="text-center">\${d.attempts}</td><td class="text-red-600">\${esc(d.last_error)}</td></tr>\`
+        ).join('');
+
+        // Update per-queue table
+        const queues = {};
+        for (const q of data.queues) {
+          queues[q.queue] = queues[q.queue] || {};
+          queues[q.queue][q.state] = q.c;
+        }
+        document.querySelector('#queueTable tbody').innerHTML = Object.entries(queues).map(([name, c]) =>
+          \`<tr class="border-b text-center"><td class="text-left">\${esc(name)}</td><td>\${c.pending || 0}</td><td>\${c.blocked || 0}</td><td>\${c.processing || 0}</td><td>\${c.completed || 0}</td><td class="text-red-600">\${c.dead || 0}</td></tr>\`
         ).join('');
       }
 
+      // States whose list is expanded survive re-rendering
+      const openStates = new Set();
       async function fetchJobLists() {
-        const states = ['pending','processing','completed','dead'];
+        const states = ['pending','blocked','processing','completed','dead','cancelled'];
         const container = document.getElementById('jobLists');
-        container.innerHTML = '';
+        let html = '';
         for (const state of states) {
           const res = await fetch('/api/jobs/' + state);
           const jobs = await res.json();
+          const blocked = state === 'blocked';
+          const open = openStates.has(state);
           const rows = jobs.map(j => 
-            \`<tr class="border-b"><td>\${j.id.slice(0,6)}...</td><td>\${j.command}</td><td class="text-center">\${j.attempts}/\${j.max_retries}</td><td>\${j.updated_at}</td></tr>\`
+            \`<tr class="border-b job-row" data-id="\${esc(j.id)}"><td>\${esc(j.id.slice(0,6))}...</td><td>\${esc(j.command)}</td><td class="text-center">\${j.attempts}/\${j.effective.max_retries}</td><td class="text-center">\${j.effective.timeout ? j.effective.timeout + 's' : '-'}</td><td class="text-center">\${esc(j.effective.retry_policy)} (\${j.effective.backoff}\${j.effective.max_delay ? ', ≤' + j.effective.max_delay + 's' : ''})</td><td title="\${esc(Object.keys(j.effective.env).join(', '))}">\${esc(j.effective.cwd || '-')}</td>\${blocked ? \`<td class="text-yellow-700">\${esc((j.waiting_on || '').split(',').map(id => id.slice(0,6) + '...').join(', '))}</td>\` : ''}<td>\${j.updated_at}</td></tr>\`
           ).join('');
-          container.innerHTML += \`
+          html += \`
             <div class="mb-3">
-              <h3 class="collapsible font-semibold text-indigo-700">▶ \${state.toUpperCase()} (\${jobs.length})</h3>
-              <div class="content"><table class="table-auto w-full text-sm mt-2"><thead><tr class="border-b"><th>ID</th><th>Command</th><th>Attempts</th><th>Updated</th></tr></thead><tbody>\${rows}</tbody></table></div>
+              <h3 class="collapsible font-semibold text-indigo-700" data-state="\${state}">\${open ? '▼' : '▶'} \${state.toUpperCase()} (\${jobs.length})</h3>
+              <div class="content" style="display: \${open ? 'block' : 'none'}"><table class="table-auto w-full text-sm mt-2"><thead><tr class="border-b"><th>ID</th><th>Command</th><th>Attempts</th><th>Timeout</th><th>Retry</th><th>Cwd</th>\${blocked ? '<th>Waiting On</th>' : ''}<th>Updated</th></tr></thead><tbody>\${rows}</tbody></table></div>
             </div>\`;
         }
+        container.innerHTML = html;
 
         // Attach collapsible behavior
         document.querySelectorAll('.collapsible').forEach(btn => {
           btn.onclick = () => {
-            btn.classList.toggle('open');
             const content = btn.nextElementSibling;
-            content.style.display = content.style.display === 'block' ? 'none' : 'block';
-            btn.textContent = (content.style.display === 'block' ? '▼ ' : '▶ ') + btn.textContent.slice(2);
+            const open = content.style.display !== 'block';
+            content.style.display = open ? 'block' : 'none';
+            if (open) openStates.add(btn.dataset.state);
+            else openStates.delete(btn.dataset.state);
+            btn.textContent = (open ? '▼ ' : '▶ ') + btn.textContent.slice(2);
           };
         });
       }
 
-      async function refresh() {
-        await fetchStats();
-        await fetchJobLists();
+      function renderWorkers(workers) {
+        const active = workers.filter(w => w.state === 'running' || w.state === 'stopping').length;
+        document.getElementById('activeWorkers').textContent = '(' + active + ' active)';
+        const stateColor = { running: 'text-green-600', stopping: 'text-yellow-600', lost: 'text-red-600' };
+        document.querySelector('#workerTable tbody').innerHTML = workers.map(w =>
+          \`<tr class="border-b text-center"><td class="text-left">\${esc(w.id.slice(0,6))}...</td><td class="\${stateColor[w.state] || ''}">\${esc(w.state)}</td><td>\${w.pid} @ \${esc(w.host)}</td><td>\${esc(w.queues || 'all')}</td><td>\${w.current_job_id ? esc(w.current_job_id.slice(0,6)) + '...' : '-'}</td><td>\${w.processed}</td><td>\${w.failed}</td><td>\${w.last_heartbeat_at}</td></tr>\`
+        ).join('');
+      }
+
+      // Job lists are re-fetched at most once a second, however many jobs change
+      let listsTimer = null;
+      function scheduleJobLists() {
+        if (listsTimer) return;
+        listsTimer = setTimeout(() => { listsTimer = null; fetchJobLists(); }, 1000);
+      }
+
+      // --- Job detail view ---
+      let detailJobId = null;
+      let outputSource = null;
+
+      // Rows carry their job id in data-id; one listener opens any of them
+      document.addEventListener('click', e => {
+        const row = e.target.closest('.job-row');
+        if (row) showJob(row.dataset.id);
+      });
+
+      async function showJob(id) {
+        detailJobId = id;
+        document.getElementById('jobDetail').classList.remove('hidden');
+        await renderJobDetail();
+        followOutput('stdout');
+      }
+
+      async function renderJobDetail() {
+        const id = detailJobId;
+        const [job, attempts] = await Promise.all([
+          fetch('/api/jobs/' + encodeURIComponent(id)).then(r => r.json()),
+          fetch('/api/jobs/' + encodeURIComponent(id) + '/attempts').then(r => r.json()),
+        ]);
+        if (id !== detailJobId || job.error) return;
+        document.getElementById('detailTitle').textContent = job.id + ' — ' + job.state;
+        const fields = {
+          Command: job.command, Queue: job.queue, Priority: job.priority,
+          Attempts: job.attempts + '/' + job.effective.max_retries,
+          Timeout: job.effective.timeout ? job.effective.timeout + 's' : 'none',
+          Retry: job.effective.retry_policy + ' (backoff ' + job.effective.backoff + ')',
+          'Depends on': job.depends_on.join(', ') || '-',
+          Created: job.created_at, Updated: job.updated_at, 'Last error': job.last_error || '-',
+        };
+        const detail = document.getElementById('detailFields');
+        detail.innerHTML = '';
+        for (const [name, value] of Object.entries(fields)) {
+          const label = document.createElement('div');
+          label.className = 'text-gray-500';
+          label.textContent = name;
+          const cell = document.createElement('div');
+          cell.textContent = value;
+          detail.append(label, cell);
+        }
+        document.querySelector('#attemptTable tbody').innerHTML = attempts.map(a =>
+          \`<tr class="border-b text-center"><td>\${a.attempt}</td><td>\${esc(a.outcome)}</td><td>\${a.timed_out ? 'timeout' : esc(a.signal || (a.exit_code ?? '-'))}</td><td>\${a.duration !== null ? a.duration.toFixed(2) + 's' : '-'}</td><td>\${a.started_at}</td><td>\${a.worker_id ? esc(a.worker_id.slice(0,6)) + '...' : '-'}</td><td class="text-left text-red-600">\${esc(a.error)}</td></tr>\`
+        ).join('');
+      }
+
+      function followOutput(stream) {
+        if (outputSource) outputSource.close();
+        const output = document.getElementById('jobOutput');
+        const status = document.getElementById('outputStatus');
+        output.textContent = '';
+        document.getElementById('btnStdout').classList.toggle('bg-indigo-100', stream === 'stdout');
+        document.getElementById('btnStderr').classList.toggle('bg-indigo-100', stream === 'stderr');
+        outputSource = new EventSource('/api/jobs/' + encodeURIComponent(detailJobId) + '/logs/stream?stream=' + stream);
+        outputSource.addEventListener('attempt', e => {
+          const { attempt } = JSON.parse(e.data);
+          status.textContent = attempt ? 'attempt ' + attempt + ' — live' : 'not run yet';
+        });
+        outputSource.addEventListener('output', e => {
+          const atBottom = output.scrollTop + output.clientHeight >= output.scrollHeight - 5;
+          output.textContent += JSON.parse(e.data).text;
+          if (atBottom) output.scrollTop = output.scrollHeight;
+        });
+        outputSource.addEventListener('end', e => {
+          status.textContent = 'attempt ' + JSON.parse(e.data).attempt + ' — finished';
+          outputSource.close();
+        });
+      }
+
+      function closeJob() {
+        detailJobId = null;
+        if (outputSource) outputSource.close();
+        outputSource = null;
+        document.getElementById('jobDetail').classList.add('hidden');
       }
 
-      // Auto-refresh every 5 seconds
-      refresh();
-      setInterval(refresh, 5000);
+      // --- Live updates pushed by the server ---
+      const events = new EventSource('/api/events');
+      events.onopen = () => {
+        document.getElementById('connection').textContent = '● live';
+        fetchJobLists();
+      };
+      events.onerror = () => {
+        document.getElementById('connection').textContent = '○ disconnected — reconnecting...';
+      };
+      events.addEventListener('stats', e => {
+        const data = JSON.parse(e.data);
+        renderStats(data);
+        renderWorkers(data.workers);
+      });
+      events.addEventListener('job', e => {
+        const job = JSON.parse(e.data);
+        scheduleJobLists();
+        if (job.id === detailJobId) {
+          renderJobDetail();
+          // A retried job starts a new attempt: follow it
+          if (job.state === 'processing' && outputSource && outputSource.readyState === EventSource.CLOSED) {
+            followOutput(document.getElementById('btnStderr').classList.contains('bg-indigo-100') ? 'stderr' : 'stdout');
+          }
+        }
+      });
     </script>
   </body>
   </html>
   `);
 });
 
-app.listen(PORT, () => {
-  console.log(`🚀 QueueCTL Dashboard running at http://localhost:${PORT}`);
+// --- Errors: every /api failure comes back as { error: message } ---
+app.use("/api", (req, res) => {
+  res.status(404).json({ error: `No route for ${req.method} ${req.originalUrl}` });
+});
+
+app.use((err, req, res, next) => {
+  // express.json() marks malformed bodies with status 400
+  const status = err.status || err.statusCode || 500;
+  if (status >= 500) console.error("API error:", err);
+  res.status(status).json({
+    error: status >= 500 ? "Internal server error" : err.message,
+  });
+});
+
+// Open the database (migrating it, or refusing a newer schema) before serving
+try {
+  getDb();
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
 
+app.listen(PORT, HOST, () => {
+  console.log(`🚀 QueueCTL Dashboard running at http://${HOST}:${PORT} (database: ${databasePath()})`);
+  if (!process.env.QUEUECTL_API_TOKEN) console.log(`🔑 API token for this run (set QUEUECTL_API_TOKEN to fix one): ${API_TOKEN}`);
 });
-gi
\ No newline at end of file
@@ -0,0 +1,50 @@
+const { getDb, statement } = require("../db/database");
+
+/**
+ * Record one execution of a job. `outcome` is what the run led to:
+ * completed | retry | dead | cancelled | lost (worker died, found by the
+ * reaper) | discarded (the worker lost its lease before it could report).
+ * stdout/stderr are the tails the runner kept (`output-tail-size`).
+ */
+function recordAttempt(db, attempt) {
+  statement(`
+    INSERT INTO job_attempts (
+      job_id, attempt, worker_id, started_at, finished_at, duration,
+      exit_code, signal, timed_out, cancelled, outcome, error, stdout, stderr
+    ) VALUES (
+      @job_id, @attempt, @worker_id, @started_at, @finished_at, @duration,
+      @exit_code, @signal, @timed_out, @cancelled, @outcome, @error, @stdout, @stderr
+    )
+  `).run({
+    worker_id: null,
+    finished_at: null,
+    duration: null,
+    exit_code: null,
+    signal: null,
+    error: null,
+    ...attempt,
+    timed_out: attempt.timed_out ? 1 : 0,
+    cancelled: attempt.cancelled ? 1 : 0,
+    stdout: attempt.stdout || null,
+    stderr: attempt.stderr || null,
+  });
+}
+
+function listAttempts(jobId) {
+  const db = getDb();
+  const rows = db
+    .prepare("SELECT * FROM job_attempts WHERE job_id = ? ORDER BY attempt ASC, id ASC")
+    .all(jobId);
+  return rows;
+}
+
+// Whether attempt `attempt` of a job is over: it has been recorded, or the
+// job ended (or was deleted) without ever reaching it
+function attemptFinished(db, jobId, attempt) {
+  const job = statement("SELECT state, attempts FROM jobs WHERE id = ?").get(jobId);
+  if (!job) return true;
+  if (statement("SELECT 1 FROM job_attempts WHERE job_id = ? AND attempt = ?").get(jobId, attempt)) return true;
+  return job.attempts < attempt && !["pending", "blocked"].includes(job.state);
+}
+
+module.exports = { recordAttempt, listAttempts, attemptFinished };
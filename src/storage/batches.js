@@ -0,0 +1,105 @@
+const { v4: uuidv4 } = require("uuid");
+const { getDb, statement } = require("../db/database");
+const { validateJobInput, insertJob } = require("./jobs");
+
+// Thrown inside the batch transaction to roll it back when a line failed
+class BatchRejected extends Error {}
+
+/**
+ * Enqueue one job per line of JSONL `text` (blank lines are ignored) in a
+ * single transaction, all sharing a new batch_id. A line that is not valid
+ * JSON, fails validation or cannot be inserted (e.g. an unknown dependency)
+ * is reported as { line, message }. Unless `skipInvalid` is set, any such
+ * error rolls the whole batch back.
+ * Returns { batch_id, inserted, duplicates, errors } (batch_id null when
+ * nothing was enqueued).
+ */
+function enqueueBatch(text, { source = null, skipInvalid = false } = {}) {
+  const batchId = uuidv4();
+  const errors = [];
+  const jobs = [];
+
+  text.split(/\r?\n/).forEach((raw, i) => {
+    if (!raw.trim()) return;
+    try {
+      let data;
+      try {
+        data = JSON.parse(raw);
+      } catch (err) {
+        throw new Error(`Invalid JSON: ${err.message}`);
+      }
+      jobs.push({ line: i + 1, data: validateJobInput(data) });
+    } catch (err) {
+      errors.push({ line: i + 1, message: err.message });
+    }
+  });
+
+  // Lines are inserted even after an invalid one so every error is reported
+  const db = getDb();
+  const insertAll = db.transaction(() => {
+    let inserted = 0;
+    let duplicates = 0;
+    for (const { line, data } of jobs) {
+      try {
+        // Nested in this transaction, each insert is a savepoint of its own
+        const job = insertJob({ ...data, batch_id: batchId });
+        if (job.duplicate) duplicates++;
+        else inserted++;
+      } catch (err) {
+        errors.push({ line, message: err.message });
+      }
+    }
+    errors.sort((a, b) => a.line - b.line);
+    if (errors.length && !skipInvalid) throw new BatchRejected();
+    if (inserted > 0) {
+      statement("INSERT INTO batches (id, source, total, created_at) VALUES (?, ?, ?, ?)").run(
+        batchId,
+        source,
+        inserted,
+        new Date().toISOString()
+      );
+    }
+    return { batch_id: inserted > 0 ? batchId : null, inserted, duplicates, errors };
+  });
+
+  try {
+    return insertAll.immediate();
+  } catch (err) {
+    if (err instanceof BatchRejected) return { batch_id: null, inserted: 0, duplicates: 0, errors };
+    throw err;
+  }
+}
+
+/**
+ * Progress of a batch: { id, source, total, created_at, states: { state: n },
+ * finished, purged, outcome }. `outcome` is 'in progress', 'all succeeded',
+ * 'some dead' or 'some cancelled'. Returns null for an unknown batch.
+ */
+function batchStatus(id) {
+  const db = getDb();
+  const batch = db.prepare("SELECT * FROM batches WHERE id = ?").get(id);
+  const rows = batch
+    ? db.prepare("SELECT state, COUNT(*) AS c FROM jobs WHERE batch_id = ? GROUP BY state").all(id)
+    : [];
+  if (!batch) return null;
+
+  const states = Object.fromEntries(rows.map((r) => [r.state, r.c]));
+  const count = (...names) => names.reduce((sum, s) => sum + (states[s] || 0), 0);
+  const active = count("pending", "blocked", "processing");
+  const present = rows.reduce((sum, r) => sum + r.c, 0);
+
+  let outcome = "in progress";
+  if (active === 0) {
+    outcome = count("dead") > 0 ? "some dead" : count("cancelled") > 0 ? "some cancelled" : "all succeeded";
+  }
+  return {
+    ...batch,
+    states,
+    finished: present - active,
+    // Jobs deleted since the batch was enqueued (dlq:purge, delete)
+    purged: batch.total - present,
+    outcome,
+  };
+}
+
+module.exports = { enqueueBatch, batchStatus };
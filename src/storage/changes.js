@@ -0,0 +1,25 @@
+// Every insert and state change of a job stamps it with the next
+// jobs.change_seq (see migration 012), numbered in commit order, so the jobs
+// above the last number seen are exactly the ones that changed since.
+
+const CHANGE_COLUMNS =
+  "id, command, queue, state, attempts, max_retries, priority, worker_id, last_error, updated_at, change_seq";
+
+/**
+ * Returns poll(): the jobs that changed since the previous call (the first
+ * call: since change_seq `since`, default the latest change), oldest change
+ * first. A job that changed more than once in between is reported once, as
+ * it is now.
+ */
+function createJobChangeFeed(db, since = null) {
+  const stmt = db.prepare(`SELECT ${CHANGE_COLUMNS} FROM jobs WHERE change_seq > ? ORDER BY change_seq ASC`);
+  let cursor = since ?? db.prepare("SELECT COALESCE(MAX(change_seq), 0) AS seq FROM jobs").get().seq;
+
+  return function poll() {
+    const changed = stmt.all(cursor);
+    if (changed.length) cursor = changed[changed.length - 1].change_seq;
+    return changed;
+  };
+}
+
+module.exports = { createJobChangeFeed };
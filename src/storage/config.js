@@ -1,43 +1,82 @@
-const { init } = require("../db/database");
+const { statement } = require("../db/database");
+
+// Per-queue max concurrency is stored as `queue-concurrency.<queue>`
+const QUEUE_CONCURRENCY_PREFIX = "queue-concurrency.";
+// Max jobs in flight per concurrency_key: `concurrency-limit.<key>`
+const CONCURRENCY_LIMIT_PREFIX = "concurrency-limit.";
+// Token-bucket rates ("5/s") per concurrency_key or per queue
+const RATE_LIMIT_KEY_PREFIX = "rate-limit.key.";
+const RATE_LIMIT_QUEUE_PREFIX = "rate-limit.queue.";
+// Lifecycle hooks: `hook.<event>` or `hook.<event>.<name>` = URL or shell command
+const HOOK_PREFIX = "hook.";
+// Pending jobs above which queue.depth_exceeded fires: `queue-depth-threshold.<queue>`
+// (or `queue-depth-threshold` for every queue)
+const QUEUE_DEPTH_THRESHOLD_PREFIX = "queue-depth-threshold.";
+
+// Config is read through a per-process cache: many reads per job (worker
+// loop, option defaults, hooks) cost no query. Writes here clear it at once;
+// a change made by another process is noticed through meta 'config.version'
+// (bumped by triggers), checked at most every CONFIG_CHECK_MS.
+const CONFIG_CHECK_MS = 1000;
+let cache = null;
+let cacheVersion = null;
+let checkedAt = 0;
+
+function invalidateConfig() {
+  cache = null;
+}
+
+function configCache() {
+  const now = Date.now();
+  if (cache && now - checkedAt < CONFIG_CHECK_MS) return cache;
+  checkedAt = now;
+  const row = statement("SELECT value FROM meta WHERE key = 'config.version'").get();
+  const version = row ? row.value : null;
+  if (!cache || version !== cacheVersion) {
+    cache = new Map(statement("SELECT key, value FROM config").all().map((r) => [r.key, r.value]));
+    cacheVersion = version;
+  }
+  return cache;
+}
 
 // Get value by key (returns string or undefined)
 function getConfig(key) {
-  const db = init();
-  const stmt = db.prepare("SELECT value FROM config WHERE key = ?");
-  const row = stmt.get(key);
-  db.close();
-  return row ? row.value : undefined;
+  return configCache().get(key);
 }
 
 // Set (insert or update) config key/value
 function setConfig(key, value) {
-  const db = init();
-  const stmt = db.prepare(`
+  statement(`
     INSERT INTO config (key, value)
     VALUES (@key, @value)
     ON CONFLICT(key) DO UPDATE SET value = excluded.value
-  `);
-  stmt.run({ key, value });
-  db.close();
+  `).run({ key, value });
+  invalidateConfig();
   return true;
 }
 
 // List all config pairs
 function listConfig() {
-  const db = init();
-  const stmt = db.prepare("SELECT key, value FROM config");
-  const rows = stmt.all();
-  db.close();
-  return rows;
+  return [...configCache()].map(([key, value]) => ({ key, value }));
 }
 
 // (Optional) clear all config keys
 function resetConfig() {
-  const db = init();
-  const stmt = db.prepare("DELETE FROM config");
-  const info = stmt.run();
-  db.close();
+  const info = statement("DELETE FROM config").run();
+  invalidateConfig();
   return info.changes;
 }
 
-module.exports = { getConfig, setConfig, listConfig, resetConfig };
+module.exports = {
+  QUEUE_CONCURRENCY_PREFIX,
+  CONCURRENCY_LIMIT_PREFIX,
+  RATE_LIMIT_KEY_PREFIX,
+  RATE_LIMIT_QUEUE_PREFIX,
+  HOOK_PREFIX,
+  QUEUE_DEPTH_THRESHOLD_PREFIX,
+  getConfig,
+  setConfig,
+  listConfig,
+  resetConfig,
+  invalidateConfig,
+};
@@ -0,0 +1,230 @@
+const { getDb, statement } = require("../db/database");
+const { HOOK_PREFIX, QUEUE_DEPTH_THRESHOLD_PREFIX, listConfig } = require("./config");
+const { NotFoundError, ConflictError } = require("../utils/errors");
+
+const HOOK_EVENTS = ["job.completed", "job.failed", "job.dead", "queue.depth_exceeded"];
+// Per-job hooks given in the enqueue JSON, by event
+const JOB_HOOK_FIELDS = { "job.completed": "on_complete", "job.dead": "on_dead" };
+// Events a finished run emits, by the outcome recorded for its attempt
+const OUTCOME_EVENTS = {
+  completed: ["job.completed"],
+  retry: ["job.failed"],
+  dead: ["job.failed", "job.dead"],
+  cancelled: [],
+};
+const DELIVERY_STATES = ["pending", "sending", "delivered", "failed"];
+// queue.depth_exceeded fires once per crossing; the flag is kept in meta
+const DEPTH_FLAG_PREFIX = "depth-exceeded.";
+
+// A target is a webhook when it is an http(s) URL, otherwise a shell command
+function isWebhook(target) {
+  return /^https?:\/\//i.test(target);
+}
+
+// Global hooks subscribed to `event`: config `hook.<event>` and `hook.<event>.<name>`
+function configuredHooks(db, event) {
+  const key = HOOK_PREFIX + event;
+  return statement(
+    `SELECT value FROM config
+     WHERE key = @key OR substr(key, 1, length(@key) + 1) = @key || '.'
+     ORDER BY key`
+  )
+    .all({ key })
+    .map((row) => row.value.trim())
+    .filter(Boolean);
+}
+
+// Every global hook, for `hooks:list`: [{ key, event, target }]
+function listConfiguredHooks() {
+  const db = getDb();
+  const rows = db
+    .prepare("SELECT key, value FROM config WHERE substr(key, 1, length(@p)) = @p ORDER BY key")
+    .all({ p: HOOK_PREFIX });
+  return rows.map((row) => ({
+    key: row.key,
+    event: HOOK_EVENTS.find((e) => row.key === HOOK_PREFIX + e || row.key.startsWith(`${HOOK_PREFIX}${e}.`)) || null,
+    target: row.value,
+  }));
+}
+
+/**
+ * Write an event to the outbox, one delivery per subscribed hook (global
+ * hooks plus `targets`). Call it inside the transaction that makes the
+ * change, so a notification exists exactly when the change does.
+ * Returns the number of deliveries queued.
+ */
+function emitHookEvent(db, event, payload, { jobId = null, targets = [], now = new Date().toISOString() } = {}) {
+  const hooks = [...new Set([...configuredHooks(db, event), ...targets])];
+  const body = JSON.stringify({ event, occurred_at: now, ...payload });
+  const stmt = statement(`
+    INSERT INTO hook_deliveries (event, job_id, target, payload, next_attempt_at, created_at, updated_at)
+    VALUES (@event, @jobId, @target, @body, @now, @now, @now)
+  `);
+  for (const target of hooks) stmt.run({ event, jobId, target, body, now });
+  return hooks.length;
+}
+
+// The job as sent in job.* payloads
+function jobPayload(job) {
+  return {
+    id: job.id,
+    command: job.command,
+    queue: job.queue,
+    state: job.state,
+    attempts: job.attempts,
+    max_retries: job.max_retries,
+    priority: job.priority,
+    last_error: job.last_error,
+    duration: job.duration,
+    stdout: job.stdout,
+    stderr: job.stderr,
+    created_at: job.created_at,
+    updated_at: job.updated_at,
+  };
+}
+
+// Emit a job.* event with the job as it is after the change
+function emitJobEvent(db, event, jobId, now) {
+  const job = statement("SELECT * FROM jobs WHERE id = ?").get(jobId);
+  if (!job) return 0;
+  const field = JOB_HOOK_FIELDS[event];
+  const targets = field && job[field] ? JSON.parse(job[field]) : [];
+  return emitHookEvent(db, event, { job: jobPayload(job) }, { jobId, targets, now });
+}
+
+function emitRunEvents(db, jobId, outcome, now) {
+  for (const event of OUTCOME_EVENTS[outcome] || []) emitJobEvent(db, event, jobId, now);
+}
+
+// Pending-job threshold per queue; `queue-depth-threshold` applies to queues
+// without their own. 0 or unset = no alert.
+function depthThreshold(db, queue) {
+  const row =
+    statement("SELECT value FROM config WHERE key = ?").get(QUEUE_DEPTH_THRESHOLD_PREFIX + queue) ||
+    statement("SELECT value FROM config WHERE key = 'queue-depth-threshold'").get();
+  const threshold = row ? parseInt(row.value, 10) : 0;
+  return threshold > 0 ? threshold : null;
+}
+
+/**
+ * Emit queue.depth_exceeded for every queue whose pending jobs went above
+ * its threshold since the last check. The flag in meta makes it fire once
+ * per crossing (across all workers) and re-arm when the queue drains below.
+ * Returns the queues that fired.
+ */
+function checkQueueDepths(db, now = new Date().toISOString()) {
+  // Without thresholds (read from the config cache) and with no flag left to
+  // clear there is nothing to do, so skip the write transaction
+  const thresholds = listConfig().some(
+    ({ key }) => key === "queue-depth-threshold" || key.startsWith(QUEUE_DEPTH_THRESHOLD_PREFIX)
+  );
+  const anyFlag = statement("SELECT 1 FROM meta WHERE substr(key, 1, length(@p)) = @p LIMIT 1");
+  if (!thresholds && !anyFlag.get({ p: DEPTH_FLAG_PREFIX })) return [];
+
+  const check = db.transaction(() => {
+    const depths = statement("SELECT queue, COUNT(*) AS c FROM jobs WHERE state='pending' GROUP BY queue").all();
+    const flagged = new Set(
+      statement("SELECT key FROM meta WHERE substr(key, 1, length(@p)) = @p")
+        .all({ p: DEPTH_FLAG_PREFIX })
+        .map((row) => row.key.slice(DEPTH_FLAG_PREFIX.length))
+    );
+    const depthOf = Object.fromEntries(depths.map((row) => [row.queue, row.c]));
+    const fired = [];
+
+    for (const queue of new Set([...Object.keys(depthOf), ...flagged])) {
+      const threshold = depthThreshold(db, queue);
+      const depth = depthOf[queue] || 0;
+      const exceeded = threshold !== null && depth > threshold;
+      if (exceeded && !flagged.has(queue)) {
+        statement("INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)").run(DEPTH_FLAG_PREFIX + queue, now);
+        emitHookEvent(db, "queue.depth_exceeded", { queue, depth, threshold }, { now });
+        fired.push(queue);
+      } else if (!exceeded && flagged.has(queue)) {
+        statement("DELETE FROM meta WHERE key = ?").run(DEPTH_FLAG_PREFIX + queue);
+      }
+    }
+    return fired;
+  });
+  return check.immediate();
+}
+
+/**
+ * Take the next due delivery (or one whose sender died mid-delivery) and
+ * lock it for `lockSeconds`. A single UPDATE, so two workers never take the
+ * same delivery.
+ */
+function claimDelivery(db, now, lockSeconds) {
+  const lockedUntil = new Date(new Date(now).getTime() + lockSeconds * 1000).toISOString();
+  return statement(
+    `UPDATE hook_deliveries
+     SET state='sending', attempts = attempts + 1, locked_until=@lockedUntil, updated_at=@now
+     WHERE id = (
+       SELECT id FROM hook_deliveries
+       WHERE (state='pending' AND next_attempt_at <= @now)
+          OR (state='sending' AND locked_until <= @now)
+       ORDER BY next_attempt_at ASC, id ASC
+       LIMIT 1
+     )
+     RETURNING *`
+  ).get({ now, lockedUntil });
+}
+
+// Record the result of one delivery attempt; `retryAt` null = give up
+function finishDelivery(db, id, { error = null, retryAt = null, now = new Date().toISOString() } = {}) {
+  const state = !error ? "delivered" : retryAt ? "pending" : "failed";
+  statement(
+    `UPDATE hook_deliveries
+     SET state=@state,
+         last_error=@error,
+         next_attempt_at=COALESCE(@retryAt, next_attempt_at),
+         locked_until=NULL,
+         delivered_at=@deliveredAt,
+         updated_at=@now
+     WHERE id=@id AND state='sending'`
+  ).run({ id, state, error, retryAt, deliveredAt: error ? null : now, now });
+  return state;
+}
+
+function listDeliveries({ state = null, limit = 20 } = {}) {
+  const db = getDb();
+  const rows = db
+    .prepare(
+      `SELECT * FROM hook_deliveries ${state ? "WHERE state = @state" : ""}
+       ORDER BY id DESC LIMIT @limit`
+    )
+    .all(state ? { state, limit } : { limit });
+  return rows;
+}
+
+// Send a failed delivery again from its first attempt
+function retryDelivery(id) {
+  const db = getDb();
+  const delivery = db.prepare("SELECT * FROM hook_deliveries WHERE id = ?").get(id);
+  if (!delivery) throw new NotFoundError(`Delivery ${id} not found`);
+  if (delivery.state !== "failed") {
+    throw new ConflictError(`Delivery ${id} is '${delivery.state}', only failed deliveries can be retried`);
+  }
+  const now = new Date().toISOString();
+  db.prepare(
+    `UPDATE hook_deliveries
+     SET state='pending', attempts=0, next_attempt_at=@now, last_error=NULL, updated_at=@now
+     WHERE id=@id`
+  ).run({ id, now });
+  return db.prepare("SELECT * FROM hook_deliveries WHERE id = ?").get(id);
+}
+
+module.exports = {
+  HOOK_EVENTS,
+  JOB_HOOK_FIELDS,
+  DELIVERY_STATES,
+  isWebhook,
+  listConfiguredHooks,
+  emitHookEvent,
+  emitJobEvent,
+  emitRunEvents,
+  checkQueueDepths,
+  claimDelivery,
+  finishDelivery,
+  listDeliveries,
+  retryDelivery,
+};
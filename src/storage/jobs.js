@@ -1,75 +1,425 @@
 const { v4: uuidv4 } = require("uuid");
-const { init } = require("../db/database");
+const { getDb, statement } = require("../db/database");
+const { getConfig, QUEUE_CONCURRENCY_PREFIX, CONCURRENCY_LIMIT_PREFIX } = require("./config");
+const { rateBuckets } = require("./limits");
+const { recordAttempt } = require("./attempts");
+const { countMetric } = require("./metrics");
+const { JOB_HOOK_FIELDS, emitJobEvent } = require("./hooks");
+const { RETRY_POLICIES, parseExitCodes, isExitCode } = require("../utils/retry");
+const { ValidationError, NotFoundError, ConflictError } = require("../utils/errors");
 
+const JOB_STATES = ["pending", "blocked", "processing", "completed", "failed", "dead", "cancelled"];
+
+// How long an idempotency_key keeps suppressing duplicates:
+//   pending     while the earlier job has not started (pending/blocked)
+//   incomplete  while the earlier job is unfinished (pending/blocked/processing);
+//               once it completes, dies or is cancelled the key is free again
+//   window      for dedupe_window seconds after the earlier job was enqueued
+const DEDUPE_SCOPES = ["pending", "incomplete", "window"];
+const DEDUPE_SCOPE_FILTERS = {
+  pending: "state IN ('pending', 'blocked')",
+  incomplete: "state IN ('pending', 'blocked', 'processing')",
+  window: "created_at >= @since",
+};
+// One fixed query per scope, so each is prepared once (see statement())
+const DEDUPE_QUERIES = Object.fromEntries(
+  Object.entries(DEDUPE_SCOPE_FILTERS).map(([scope, filter]) => [
+    scope,
+    `SELECT * FROM jobs WHERE idempotency_key = @key AND ${filter}
+     ORDER BY created_at DESC LIMIT 1`,
+  ])
+);
+
+/**
+ * Validate enqueue input (from the CLI or the HTTP API) and turn `delay`
+ * into `run_after`. Throws a ValidationError describing the first bad field.
+ */
+function validateJobInput(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new ValidationError("Job must be a JSON object");
+  }
+  if (data.handler !== undefined) {
+    if (typeof data.handler !== "string" || !data.handler.trim()) {
+      throw new ValidationError("'handler' must be a non-empty string");
+    }
+    if (data.command !== undefined) {
+      throw new ValidationError("Give either 'command' or 'handler', not both");
+    }
+  } else if (typeof data.command !== "string" || !data.command.trim()) {
+    throw new ValidationError("Missing required field: 'command' (or 'handler')");
+  }
+  if (data.payload !== undefined) {
+    if (data.handler === undefined) throw new ValidationError("'payload' is only for 'handler' jobs");
+    try {
+      JSON.stringify(data.payload);
+    } catch (err) {
+      throw new ValidationError(`'payload' must be JSON-serializable (${err.message})`);
+    }
+  }
+  if (data.id !== undefined && (typeof data.id !== "string" || !data.id.trim())) {
+    throw new ValidationError("'id' must be a non-empty string");
+  }
+  if (data.priority !== undefined && !Number.isInteger(data.priority)) {
+    throw new ValidationError("'priority' must be an integer");
+  }
+  if (data.max_retries !== undefined && !(Number.isInteger(data.max_retries) && data.max_retries > 0)) {
+    throw new ValidationError("'max_retries' must be a positive integer");
+  }
+  if (data.delay !== undefined && !(Number(data.delay) >= 0)) {
+    throw new ValidationError("'delay' must be a non-negative number of seconds");
+  }
+  if (data.timeout !== undefined && !(typeof data.timeout === "number" && data.timeout >= 0)) {
+    throw new ValidationError("'timeout' must be a non-negative number of seconds (0 = no timeout)");
+  }
+  if (data.backoff !== undefined && !(typeof data.backoff === "number" && data.backoff > 0)) {
+    throw new ValidationError("'backoff' must be a positive number");
+  }
+  if (data.retry_policy !== undefined && !RETRY_POLICIES.includes(data.retry_policy)) {
+    throw new ValidationError(`'retry_policy' must be one of ${RETRY_POLICIES.join(" | ")}`);
+  }
+  if (data.max_delay !== undefined && !(typeof data.max_delay === "number" && data.max_delay >= 0)) {
+    throw new ValidationError("'max_delay' must be a non-negative number of seconds (0 = no cap)");
+  }
+  for (const field of ["retry_on", "no_retry_on"]) {
+    if (data[field] !== undefined && !(Array.isArray(data[field]) && data[field].every(isExitCode))) {
+      throw new ValidationError(`'${field}' must be an array of exit codes (0-255)`);
+    }
+  }
+  if (data.retry_on_timeout !== undefined && typeof data.retry_on_timeout !== "boolean") {
+    throw new ValidationError("'retry_on_timeout' must be true or false");
+  }
+  if (data.concurrency_key !== undefined && (typeof data.concurrency_key !== "string" || !data.concurrency_key.trim())) {
+    throw new ValidationError("'concurrency_key' must be a non-empty string");
+  }
+  for (const field of ["idempotency_key", "unique_key"]) {
+    if (data[field] !== undefined && (typeof data[field] !== "string" || !data[field].trim())) {
+      throw new ValidationError(`'${field}' must be a non-empty string`);
+    }
+  }
+  if (data.idempotency_key && data.unique_key && data.idempotency_key !== data.unique_key) {
+    throw new ValidationError("'unique_key' is an alias of 'idempotency_key'; give only one");
+  }
+  if (data.dedupe_scope !== undefined && !DEDUPE_SCOPES.includes(data.dedupe_scope)) {
+    throw new ValidationError(`'dedupe_scope' must be one of ${DEDUPE_SCOPES.join(" | ")}`);
+  }
+  if (data.dedupe_window !== undefined && !(typeof data.dedupe_window === "number" && data.dedupe_window > 0)) {
+    throw new ValidationError("'dedupe_window' must be a positive number of seconds");
+  }
+  for (const field of Object.values(JOB_HOOK_FIELDS)) {
+    if (data[field] !== undefined && !isHookTargetList(data[field])) {
+      throw new ValidationError(`'${field}' must be a webhook URL or shell command, or an array of them`);
+    }
+  }
+  if (data.cwd !== undefined && (typeof data.cwd !== "string" || !data.cwd.trim())) {
+    throw new ValidationError("'cwd' must be a non-empty string");
+  }
+  if (
+    data.env !== undefined &&
+    (!data.env ||
+      typeof data.env !== "object" ||
+      Array.isArray(data.env) ||
+      !Object.values(data.env).every((v) => ["string", "number", "boolean"].includes(typeof v)))
+  ) {
+    throw new ValidationError("'env' must be an object of variable names to string values");
+  }
+  if (data.queue !== undefined && (typeof data.queue !== "string" || !data.queue.trim())) {
+    throw new ValidationError("'queue' must be a non-empty string");
+  }
+  if (
+    data.depends_on !== undefined &&
+    (!Array.isArray(data.depends_on) || !data.depends_on.every((id) => typeof id === "string"))
+  ) {
+    throw new ValidationError("'depends_on' must be an array of job IDs");
+  }
+
+  const job = { ...data };
+  // Only `enqueue --file` assigns batches
+  delete job.batch_id;
+  if (data.unique_key) {
+    job.idempotency_key = data.unique_key;
+    delete job.unique_key;
+  }
+  // --- Scheduled / Delayed Jobs (in seconds) ---
+  if (data.delay) {
+    job.run_after = new Date(Date.now() + Number(data.delay) * 1000).toISOString();
+  }
+  return job;
+}
+
+// A hook target (URL or command) or a non-empty list of them
+function isHookTargetList(value) {
+  const targets = Array.isArray(value) ? value : [value];
+  return targets.length > 0 && targets.every((t) => typeof t === "string" && t.trim());
+}
+
+// Stored as a JSON array of targets
+function encodeHookTargets(value) {
+  return value ? JSON.stringify([].concat(value).map((t) => t.trim())) : null;
+}
+
+// Read from the table rather than the config cache, so the value is the one
+// current inside the caller's transaction
+function readConfig(db, key) {
+  const row = statement("SELECT value FROM config WHERE key = ?").get(key);
+  return row ? row.value : undefined;
+}
+
+// The live job an idempotency key still maps to, if any
+function findDuplicate(db, jobData) {
+  const scope = jobData.dedupe_scope || (jobData.dedupe_window ? "window" : readConfig(db, "dedupe-scope"));
+  const windowSeconds = jobData.dedupe_window || parseFloat(readConfig(db, "dedupe-window") || "3600");
+  return statement(DEDUPE_QUERIES[scope] || DEDUPE_QUERIES.incomplete).get({
+    key: jobData.idempotency_key,
+    since: new Date(Date.now() - windowSeconds * 1000).toISOString(),
+  });
+}
+
+// Called inside a transaction (the scheduler, batches), the insert nests in
+// it as a savepoint
 function insertJob(jobData) {
-  const db = init();
+  const db = getDb();
 
   // defaults
   const now = new Date().toISOString();
+  const dependsOn = [...new Set(jobData.depends_on || [])];
   const job = {
     priority: jobData.priority || 0,
     id: jobData.id || uuidv4(),
-    command: jobData.command,
+    // command is NOT NULL: a handler job stores a label there, so listings,
+    // hooks and the dashboard still show what it runs
+    command: jobData.handler ? `handler:${jobData.handler}` : jobData.command,
+    handler: jobData.handler || null,
+    payload: jobData.payload === undefined ? null : JSON.stringify(jobData.payload),
+    queue: jobData.queue || "default",
     state: "pending",
     attempts: 0,
-    max_retries: jobData.max_retries || 3,
+    // max_retries is fixed at enqueue time; the other execution options
+    // stay NULL unless given and fall back to config when the job runs
+    max_retries: jobData.max_retries || parseInt(readConfig(db, "max-retries") || "3", 10),
+    timeout: jobData.timeout ?? null,
+    backoff: jobData.backoff ?? null,
+    retry_policy: jobData.retry_policy || null,
+    max_delay: jobData.max_delay ?? null,
+    retry_on: jobData.retry_on ? JSON.stringify(jobData.retry_on) : null,
+    no_retry_on: jobData.no_retry_on ? JSON.stringify(jobData.no_retry_on) : null,
+    retry_on_timeout: jobData.retry_on_timeout === undefined ? null : Number(jobData.retry_on_timeout),
+    idempotency_key: jobData.idempotency_key || null,
+    concurrency_key: jobData.concurrency_key || null,
+    on_complete: encodeHookTargets(jobData.on_complete),
+    on_dead: encodeHookTargets(jobData.on_dead),
+    batch_id: jobData.batch_id || null,
+    cwd: jobData.cwd || null,
+    env: jobData.env
+      ? JSON.stringify(Object.fromEntries(Object.entries(jobData.env).map(([k, v]) => [k, String(v)])))
+      : null,
     created_at: now,
     updated_at: now,
-    run_after: now,
+    run_after: jobData.run_after || now,
     last_error: null,
     worker_id: null,
     stdout: null,
     stderr: null,
   };
 
-  const stmt = db.prepare(`
+  const stmt = statement(`
   INSERT INTO jobs (
     id, command, state, attempts, max_retries,
     created_at, updated_at, run_after, last_error,
-    worker_id, stdout, stderr, priority
+    worker_id, stdout, stderr, priority, queue,
+    timeout, backoff, cwd, env, retry_policy, max_delay,
+    retry_on, no_retry_on, retry_on_timeout, idempotency_key, concurrency_key,
+    on_complete, on_dead, batch_id, handler, payload
   ) VALUES (
     @id, @command, @state, @attempts, @max_retries,
     @created_at, @updated_at, @run_after, @last_error,
-    @worker_id, @stdout, @stderr, @priority
+    @worker_id, @stdout, @stderr, @priority, @queue,
+    @timeout, @backoff, @cwd, @env, @retry_policy, @max_delay,
+    @retry_on, @no_retry_on, @retry_on_timeout, @idempotency_key, @concurrency_key,
+    @on_complete, @on_dead, @batch_id, @handler, @payload
   )
 `);
+  const depStmt = statement(
+    "INSERT INTO job_dependencies (job_id, depends_on) VALUES (?, ?)"
+  );
+  const parentStmt = statement("SELECT id, state FROM jobs WHERE id = ?");
 
-  stmt.run(job);
-  db.close();
-  return job;
+  // Parent states are checked in the same transaction as the insert so a
+  // parent completing concurrently cannot leave this job blocked forever.
+  // The duplicate check and the insert share one transaction that takes the
+  // write lock up front (IMMEDIATE), so concurrent enqueues with the same
+  // key are serialized and only the first one inserts.
+  const insert = db.transaction(() => {
+    if (job.idempotency_key) {
+      const existing = findDuplicate(db, jobData);
+      if (existing) return existing;
+    }
+
+    for (const parentId of dependsOn) {
+      const parent = parentStmt.get(parentId);
+      if (!parent) throw new ValidationError(`Unknown dependency: ${parentId}`);
+
+      // A dead or cancelled parent never completes: the job ends the way
+      // cascadeDependents would have ended it
+      if (parent.state === "dead" || parent.state === "cancelled") {
+        if (job.state === "pending" || job.state === "blocked") {
+          job.state = parent.state;
+          job.last_error = `${parent.state === "dead" ? "dependency failed" : "dependency cancelled"}: ${parent.id}`;
+        }
+      } else if (parent.state !== "completed" && job.state === "pending") {
+        job.state = "blocked";
+      }
+    }
+
+    stmt.run(job);
+    for (const parentId of dependsOn) depStmt.run(job.id, parentId);
+    countMetric(db, "enqueued", job.queue);
+    if (job.state === "dead") {
+      countMetric(db, "dead", job.queue);
+      emitJobEvent(db, "job.dead", job.id, job.updated_at);
+    }
+    return null;
+  });
+
+  const existing = insert.immediate();
+  if (existing) {
+    const parents = statement("SELECT depends_on FROM job_dependencies WHERE job_id = ?").all(existing.id);
+    return { ...existing, depends_on: parents.map((p) => p.depends_on), duplicate: true };
+  }
+  return { ...job, depends_on: dependsOn };
+}
+
+// Global defaults for the per-job execution options. A bad retry setting
+// in config is reported and replaced by the built-in default rather than
+// stopping every worker.
+function jobOptionDefaults() {
+  let retryPolicy = getConfig("retry-policy") || "exponential";
+  if (!RETRY_POLICIES.includes(retryPolicy)) {
+    console.warn(`⚠️ Unknown retry-policy '${retryPolicy}' in config; using 'exponential'`);
+    retryPolicy = "exponential";
+  }
+  return {
+    timeout: parseInt(getConfig("job-timeout") || "60", 10),
+    max_retries: parseInt(getConfig("max-retries") || "3", 10),
+    backoff: parseFloat(getConfig("backoff-base") || "2"),
+    retry_policy: retryPolicy,
+    max_delay: parseFloat(getConfig("max-delay") || "3600"),
+    retry_on: configExitCodes("retry-on"),
+    no_retry_on: configExitCodes("no-retry-on"),
+    retry_on_timeout: getConfig("retry-on-timeout") !== "false",
+  };
+}
+
+function configExitCodes(key) {
+  try {
+    return parseExitCodes(getConfig(key));
+  } catch (err) {
+    console.warn(`⚠️ Ignoring config '${key}': ${err.message}`);
+    return [];
+  }
+}
+
+/**
+ * The execution options a job actually runs with: its own values where set,
+ * the global config otherwise. Pass `defaults` (from jobOptionDefaults) when
+ * resolving many jobs to read the config only once.
+ */
+function effectiveJobOptions(job, defaults = jobOptionDefaults()) {
+  return {
+    timeout: job.timeout ?? defaults.timeout,
+    max_retries: job.max_retries || defaults.max_retries,
+    backoff: job.backoff ?? defaults.backoff,
+    retry_policy: job.retry_policy || defaults.retry_policy,
+    max_delay: job.max_delay ?? defaults.max_delay,
+    retry_on: job.retry_on ? JSON.parse(job.retry_on) : defaults.retry_on,
+    no_retry_on: job.no_retry_on ? JSON.parse(job.no_retry_on) : defaults.no_retry_on,
+    retry_on_timeout: Boolean(job.retry_on_timeout ?? defaults.retry_on_timeout),
+    cwd: job.cwd || null,
+    env: job.env ? JSON.parse(job.env) : {},
+  };
 }
 
 function getJob(id) {
-  const db = init();
-  const job = db.prepare("SELECT * FROM jobs WHERE id = ?").get(id);
-  db.close();
-  return job;
+  return statement("SELECT * FROM jobs WHERE id = ?").get(id);
 }
 
-function listJobs(state) {
-  const db = init();
-  let jobs;
+function listJobs(state, queue) {
+  const db = getDb();
+  const where = [];
+  if (state) where.push("state = @state");
+  if (queue) where.push("queue = @queue");
 
-  if (state) {
-    const stmt = db.prepare("SELECT * FROM jobs WHERE state = ? ORDER BY created_at DESC");
-    jobs = stmt.all(state);
-  } else {
-    const stmt = db.prepare("SELECT * FROM jobs ORDER BY created_at DESC");
-    jobs = stmt.all(); // <-- no parameters here!
-  }
+  const stmt = db.prepare(
+    `SELECT * FROM jobs ${where.length ? `WHERE ${where.join(" AND ")}` : ""} ORDER BY created_at DESC`
+  );
+  const jobs = stmt.all({ state, queue });
 
-  db.close();
   return jobs;
 }
 
+// Ready-to-run shell command jobs (optionally limited to some queues) and
+// the run_after of the one that has waited longest. Handler jobs are left
+// out: only the process that registered the handler can run them. So are
+// jobs that a concurrency limit or an empty rate-limit bucket holds back,
+// since more workers would not run them any sooner: a queue or concurrency
+// key contributes no more jobs than it can start now.
+function readyJobStats(queues = []) {
+  const db = getDb();
+  const params = { now: new Date().toISOString() };
+  queues.forEach((q, i) => (params[`queue${i}`] = q));
+  const queueFilter = queues.length
+    ? `AND queue IN (${queues.map((_, i) => `@queue${i}`).join(", ")})`
+    : "";
+  const groups = db
+    .prepare(
+      `SELECT queue, concurrency_key, COUNT(*) AS ready, MIN(run_after) AS oldest_run_after FROM jobs
+       WHERE state='pending' AND run_after <= @now AND handler IS NULL ${queueFilter}
+       GROUP BY queue, concurrency_key ORDER BY oldest_run_after`
+    )
+    .all(params);
+
+  // How many more jobs of each queue / key may start: concurrency limit minus
+  // jobs in flight, and whole tokens left in its rate-limit bucket
+  const room = new Map();
+  const limit = (name, n) => room.set(name, Math.min(room.has(name) ? room.get(name) : Infinity, Math.max(0, n)));
+  const inFlight = (column, value) =>
+    statement(`SELECT COUNT(*) FROM jobs WHERE state='processing' AND ${column} = ?`).pluck().get(value);
+  for (const { queue, concurrency_key: key } of groups) {
+    const queueLimit = parseInt(getConfig(`${QUEUE_CONCURRENCY_PREFIX}${queue}`), 10);
+    if (queueLimit >= 0) limit(`queue:${queue}`, queueLimit - inFlight("queue", queue));
+    const keyLimit = key === null ? NaN : parseInt(getConfig(`${CONCURRENCY_LIMIT_PREFIX}${key}`), 10);
+    if (keyLimit >= 0) limit(`key:${key}`, keyLimit - inFlight("concurrency_key", key));
+  }
+  for (const bucket of rateBuckets(db)) limit(`${bucket.scope}:${bucket.name}`, Math.floor(bucket.tokens));
+
+  let ready = 0;
+  let oldest = null;
+  for (const group of groups) {
+    const names = [`queue:${group.queue}`, ...(group.concurrency_key === null ? [] : [`key:${group.concurrency_key}`])];
+    const n = Math.min(group.ready, ...names.map((name) => (room.has(name) ? room.get(name) : Infinity)));
+    if (n === 0) continue;
+    for (const name of names) if (room.has(name)) room.set(name, room.get(name) - n);
+    ready += n;
+    if (oldest === null) oldest = group.oldest_run_after;
+  }
+  return { ready, oldest_run_after: oldest };
+}
+
+// Job counts per queue and state: [{ queue, state, count }]
+function countJobsByQueue() {
+  const db = getDb();
+  const rows = db
+    .prepare("SELECT queue, state, COUNT(*) AS count FROM jobs GROUP BY queue, state ORDER BY queue")
+    .all();
+  return rows;
+}
+
 
 function updateJob(id, fields) {
-  const db = init();
+  const db = getDb();
   const keys = Object.keys(fields);
   const setClause = keys.map(k => `${k} = @${k}`).join(", ");
   const stmt = db.prepare(`UPDATE jobs SET ${setClause} WHERE id = @id`);
   stmt.run({ id, ...fields });
-  db.close();
 
 
 }
@@ -79,48 +429,328 @@ function updateJob(id, fields) {
 // =============================================================
 
 function listDeadJobs() {
-  const db = init();
+  const db = getDb();
   const stmt = db.prepare("SELECT * FROM jobs WHERE state='dead' ORDER BY updated_at DESC");
   const jobs = stmt.all();
-  db.close();
   return jobs;
 }
 
+// Move a dead job back to the queue. Throws a ConflictError when a parent
+// is dead or cancelled, as the job would then stay blocked forever: retry
+// the parent first (which revives the jobs it took down with it).
 function retryDeadJob(id) {
-  const db = init();
+  const db = getDb();
   const now = new Date().toISOString();
+  const endedParent = db.prepare(`
+    SELECT p.id, p.state FROM job_dependencies d
+    JOIN jobs p ON p.id = d.depends_on
+    WHERE d.job_id = ? AND p.state IN ('dead', 'cancelled')
+    LIMIT 1
+  `);
+  // A job whose parents are not all completed goes back to 'blocked'
   const stmt = db.prepare(`
     UPDATE jobs
-    SET state='pending',
+    SET state = CASE WHEN EXISTS (
+          SELECT 1 FROM job_dependencies d
+          JOIN jobs p ON p.id = d.depends_on
+          WHERE d.job_id = jobs.id AND p.state != 'completed'
+        ) THEN 'blocked' ELSE 'pending' END,
         attempts=0,
         run_after=@now,
         last_error=NULL,
         updated_at=@now
     WHERE id=@id AND state='dead'
   `);
-  const info = stmt.run({ id, now });
-  db.close();
-  return info.changes > 0;
+  const retry = db.transaction(() => {
+    const parent = endedParent.get(id);
+    if (parent) {
+      throw new ConflictError(`Job ${id} depends on ${parent.id}, which is ${parent.state}; retry ${parent.id} first`);
+    }
+    const info = stmt.run({ id, now });
+    if (info.changes > 0) reviveDependents(db, id, now);
+    return info.changes > 0;
+  });
+  const success = retry();
+  return success;
+}
+
+function retryJob(id) {
+  const job = getJob(id);
+  if (!job) throw new NotFoundError(`Job ${id} not found`);
+  if (job.state !== "dead") throw new ConflictError(`Job ${id} is ${job.state}, only dead jobs can be retried`);
+  if (!retryDeadJob(id)) throw new ConflictError(`Job ${id} changed state, retry again`);
+  return getJob(id);
 }
 
 function purgeDeadJobs(jobId = null) {
-  const db = init();
+  const db = getDb();
   const stmt = jobId
     ? db.prepare("DELETE FROM jobs WHERE id=@id AND state='dead'")
     : db.prepare("DELETE FROM jobs WHERE state='dead'");
   const info = jobId ? stmt.run({ id: jobId }) : stmt.run();
-  db.close();
+  db.prepare("DELETE FROM job_dependencies WHERE job_id NOT IN (SELECT id FROM jobs)").run();
+  db.prepare("DELETE FROM job_attempts WHERE job_id NOT IN (SELECT id FROM jobs)").run();
   return info.changes;
 }
 
-// Add these to exports
+// =============================================================
+// Cancel / Delete
+// =============================================================
+
+/**
+ * Cancel a job. Pending and blocked jobs are cancelled right away; for a
+ * processing job a cancel flag is set, and the worker that owns it kills the
+ * command and moves it to 'cancelled'. Jobs waiting on it are cancelled too.
+ * Returns the updated job row.
+ */
+function cancelJob(id) {
+  const db = getDb();
+  const job = db.prepare("SELECT id, state FROM jobs WHERE id = ?").get(id);
+  if (!job) throw new NotFoundError(`Job ${id} not found`);
+  if (!["pending", "blocked", "processing"].includes(job.state)) {
+    throw new ConflictError(`Job ${id} is ${job.state} and cannot be cancelled`);
+  }
+
+  const now = new Date().toISOString();
+  db.transaction(() => {
+    const info =
+      job.state === "processing"
+        ? db
+            .prepare(
+              `UPDATE jobs SET cancel_requested=1, updated_at=@now
+               WHERE id=@id AND state='processing'`
+            )
+            .run({ id, now })
+        : db
+            .prepare(
+              `UPDATE jobs SET state='cancelled', last_error='cancelled by user', updated_at=@now
+               WHERE id=@id AND state IN ('pending', 'blocked')`
+            )
+            .run({ id, now });
+    if (info.changes === 0) throw new ConflictError(`Job ${id} changed state, cancel again`);
+    if (job.state !== "processing") cascadeCancelledDependents(db, id, now);
+  })();
+
+  return db.prepare("SELECT * FROM jobs WHERE id = ?").get(id);
+}
+
+// Delete a job that is not running and that no waiting job depends on
+function deleteJob(id) {
+  const db = getDb();
+  const job = db.prepare("SELECT id, state FROM jobs WHERE id = ?").get(id);
+  if (!job) throw new NotFoundError(`Job ${id} not found`);
+  if (job.state === "processing") {
+    throw new ConflictError(`Job ${id} is processing and cannot be deleted`);
+  }
+  const waiting = db
+    .prepare(
+      `SELECT COUNT(*) AS c FROM job_dependencies d JOIN jobs j ON j.id = d.job_id
+       WHERE d.depends_on = ? AND j.state IN ('pending', 'blocked')`
+    )
+    .get(id).c;
+  if (waiting > 0) {
+    throw new ConflictError(`Job ${id} has ${waiting} job(s) waiting on it`);
+  }
+
+  db.transaction(() => {
+    db.prepare("DELETE FROM jobs WHERE id = ? AND state != 'processing'").run(id);
+    db.prepare("DELETE FROM job_dependencies WHERE job_id = ?").run(id);
+    db.prepare("DELETE FROM job_attempts WHERE job_id = ?").run(id);
+  })();
+  return true;
+}
+
+// =============================================================
+// Job Dependency Helpers
+// =============================================================
+
+// Jobs that `id` waits on
+function getParents(id) {
+  const db = getDb();
+  const rows = db
+    .prepare(
+      `SELECT j.id, j.command, j.state FROM job_dependencies d
+       JOIN jobs j ON j.id = d.depends_on
+       WHERE d.job_id = ? ORDER BY j.created_at ASC`
+    )
+    .all(id);
+  return rows;
+}
+
+// Jobs waiting on `id`
+function getChildren(id) {
+  const db = getDb();
+  const rows = db
+    .prepare(
+      `SELECT j.id, j.command, j.state FROM job_dependencies d
+       JOIN jobs j ON j.id = d.job_id
+       WHERE d.depends_on = ? ORDER BY j.created_at ASC`
+    )
+    .all(id);
+  return rows;
+}
+
+// The helpers below take an open connection so the worker can run them in
+// the same transaction as the state change that triggers them.
+
+const DESCENDANTS_CTE = `
+  WITH RECURSIVE descendants(id) AS (
+    SELECT job_id FROM job_dependencies WHERE depends_on = @id
+    UNION
+    SELECT d.job_id FROM job_dependencies d
+    JOIN descendants ON d.depends_on = descendants.id
+  )`;
+
+// Move blocked children of a completed job to 'pending' once all their parents are completed
+function releaseDependents(db, id, now) {
+  return statement(
+    `UPDATE jobs
+     SET state='pending', updated_at=@now
+     WHERE state='blocked'
+       AND id IN (SELECT job_id FROM job_dependencies WHERE depends_on=@id)
+       AND NOT EXISTS (
+         SELECT 1 FROM job_dependencies d
+         JOIN jobs p ON p.id = d.depends_on
+         WHERE d.job_id = jobs.id AND p.state != 'completed'
+       )`
+  ).run({ id, now }).changes;
+}
+
+// Move every waiting job downstream of `id` to `state` (dead or cancelled).
+// A job sent to the DLQ this way is counted and announced (job.dead, its
+// on_dead hooks) like any other dead job.
+function cascadeDependents(db, id, state, reason, now) {
+  const moved = statement(
+    `${DESCENDANTS_CTE}
+     UPDATE jobs
+     SET state=@state,
+         last_error=@reason || ': ' || @id,
+         worker_id=NULL,
+         updated_at=@now
+     WHERE id IN (SELECT id FROM descendants) AND state IN ('blocked', 'pending')
+     RETURNING id, queue`
+  ).all({ id, state, reason, now });
+  if (state === "dead") {
+    for (const job of moved) {
+      countMetric(db, "dead", job.queue);
+      emitJobEvent(db, "job.dead", job.id, now);
+    }
+  }
+  return moved.length;
+}
+
+// Send every job downstream of a dead job to the DLQ as well
+function cascadeDeadDependents(db, id, now) {
+  return cascadeDependents(db, id, "dead", "dependency failed", now);
+}
+
+// Cancel every job downstream of a cancelled job
+function cascadeCancelledDependents(db, id, now) {
+  return cascadeDependents(db, id, "cancelled", "dependency cancelled", now);
+}
+
+// Undo cascadeDeadDependents when the failed job is retried
+function reviveDependents(db, id, now) {
+  return statement(
+    `${DESCENDANTS_CTE}
+     UPDATE jobs
+     SET state='blocked',
+         attempts=0,
+         last_error=NULL,
+         updated_at=@now
+     WHERE id IN (SELECT id FROM descendants)
+       AND state='dead' AND last_error = 'dependency failed: ' || @id`
+  ).run({ id, now }).changes;
+}
+
+// Reclaim 'processing' jobs whose lease ran out (their worker died or hung).
+// The claim already counted the attempt, so a job out of retries goes to the DLQ.
+function reapExpiredLeases(db, now) {
+  const expired = statement(
+    `SELECT id, queue, attempts, max_retries, worker_id, cancel_requested, updated_at FROM jobs
+     WHERE state='processing' AND (lease_expires_at IS NULL OR lease_expires_at <= @now)`
+  ).all({ now });
+
+  const reclaim = statement(
+    `UPDATE jobs
+     SET state=@state,
+         last_error=@last_error,
+         run_after=@now,
+         updated_at=@now,
+         worker_id=NULL,
+         lease_expires_at=NULL
+     WHERE id=@id AND state='processing' AND worker_id IS @worker_id
+       AND (lease_expires_at IS NULL OR lease_expires_at <= @now)`
+  );
+
+  return db.transaction(() => {
+    let requeued = 0;
+    let dead = 0;
+    let cancelled = 0;
+    for (const job of expired) {
+      const exhausted = job.attempts >= job.max_retries;
+      // A job cancelled while its worker died is simply cancelled
+      const state = job.cancel_requested ? "cancelled" : exhausted ? "dead" : "pending";
+      const lastError = job.cancel_requested
+        ? "cancelled by user"
+        : `worker lost: lease expired on attempt ${job.attempts}/${job.max_retries}${
+            job.worker_id ? ` (worker ${job.worker_id})` : ""
+          }`;
+      const info = reclaim.run({ id: job.id, worker_id: job.worker_id, now, state, last_error: lastError });
+      if (info.changes === 0) continue;
+      // The claim set updated_at, so it is when the lost attempt started
+      recordAttempt(db, {
+        job_id: job.id,
+        attempt: job.attempts,
+        worker_id: job.worker_id,
+        started_at: job.updated_at,
+        outcome: "lost",
+        error: lastError,
+      });
+      if (state !== "cancelled") {
+        countMetric(db, "failed", job.queue);
+        countMetric(db, state === "dead" ? "dead" : "retried", job.queue);
+        emitJobEvent(db, "job.failed", job.id, now);
+        if (state === "dead") emitJobEvent(db, "job.dead", job.id, now);
+      }
+      if (state === "cancelled") {
+        cancelled++;
+        cascadeCancelledDependents(db, job.id, now);
+      } else if (state === "dead") {
+        dead++;
+        cascadeDeadDependents(db, job.id, now);
+      } else {
+        requeued++;
+      }
+    }
+    return { requeued, dead, cancelled };
+  })();
+}
+
 module.exports = {
+  JOB_STATES,
+  DEDUPE_SCOPES,
+  validateJobInput,
+  jobOptionDefaults,
+  effectiveJobOptions,
   insertJob,
   getJob,
   listJobs,
+  countJobsByQueue,
+  readyJobStats,
   updateJob,
   listDeadJobs,
   retryDeadJob,
+  retryJob,
   purgeDeadJobs,
+  cancelJob,
+  deleteJob,
+  getParents,
+  getChildren,
+  releaseDependents,
+  cascadeDeadDependents,
+  cascadeCancelledDependents,
+  reviveDependents,
+  reapExpiredLeases,
 };
 
@@ -0,0 +1,125 @@
+const { getDb, statement } = require("../db/database");
+const { CONCURRENCY_LIMIT_PREFIX, RATE_LIMIT_KEY_PREFIX, RATE_LIMIT_QUEUE_PREFIX } = require("./config");
+
+const RATE_UNITS = { s: 1, m: 60, h: 3600 };
+
+// Unparsable rates already reported by this process (config key → value),
+// so a bad setting is reported once rather than on every claim
+const reportedRates = new Map();
+
+/**
+ * Parse a rate like "5/s", "100/m" or "10/30s" into
+ * { capacity, periodSeconds }. The bucket holds at most `capacity` tokens
+ * and refills at capacity / periodSeconds tokens per second.
+ */
+function parseRate(value) {
+  const match = /^\s*(\d+)\s*\/\s*(\d*)\s*([smh])\s*$/.exec(String(value));
+  if (!match || Number(match[1]) <= 0) {
+    throw new Error(`Invalid rate '${value}' (expected e.g. 5/s, 100/m or 10/30s)`);
+  }
+  const periodSeconds = (match[2] ? Number(match[2]) : 1) * RATE_UNITS[match[3]];
+  if (!(periodSeconds > 0)) throw new Error(`Invalid rate '${value}': period must be positive`);
+  return { capacity: Number(match[1]), periodSeconds };
+}
+
+/**
+ * Every configured rate limit with its bucket refilled up to `nowMs`.
+ * Returns [{ key, scope: 'key'|'queue', name, rate, capacity, periodSeconds, tokens }].
+ * Buckets that were never used start full; a limit with an unparsable rate
+ * is ignored, and reported once per value.
+ */
+function rateBuckets(db, nowMs = Date.now()) {
+  const rows = statement(
+    `SELECT c.key, c.value, b.tokens, b.updated_at
+     FROM config c LEFT JOIN rate_buckets b ON b.key = c.key
+     WHERE substr(c.key, 1, length(@k)) = @k OR substr(c.key, 1, length(@q)) = @q`
+  ).all({ k: RATE_LIMIT_KEY_PREFIX, q: RATE_LIMIT_QUEUE_PREFIX });
+
+  const buckets = [];
+  for (const row of rows) {
+    let rate;
+    try {
+      rate = parseRate(row.value);
+    } catch (err) {
+      if (reportedRates.get(row.key) !== row.value) {
+        reportedRates.set(row.key, row.value);
+        console.warn(`⚠️ Ignoring config '${row.key}': ${err.message}`);
+      }
+      continue;
+    }
+    const isKey = row.key.startsWith(RATE_LIMIT_KEY_PREFIX);
+    const elapsedSeconds = row.updated_at === null ? Infinity : Math.max(0, nowMs - row.updated_at) / 1000;
+    buckets.push({
+      key: row.key,
+      scope: isKey ? "key" : "queue",
+      name: row.key.slice((isKey ? RATE_LIMIT_KEY_PREFIX : RATE_LIMIT_QUEUE_PREFIX).length),
+      rate: row.value,
+      ...rate,
+      tokens: Math.min(rate.capacity, (row.tokens || 0) + (elapsedSeconds * rate.capacity) / rate.periodSeconds),
+    });
+  }
+  return buckets;
+}
+
+// Seconds until an empty bucket has a whole token again
+function secondsUntilToken(bucket) {
+  return ((1 - bucket.tokens) * bucket.periodSeconds) / bucket.capacity;
+}
+
+// Take one token from every bucket that applies to `job` (its queue and concurrency_key)
+function takeTokens(db, buckets, job, nowMs = Date.now()) {
+  const stmt = statement(`
+    INSERT INTO rate_buckets (key, tokens, updated_at) VALUES (@key, @tokens, @now)
+    ON CONFLICT(key) DO UPDATE SET tokens = excluded.tokens, updated_at = excluded.updated_at
+  `);
+  for (const b of buckets) {
+    const applies = b.scope === "queue" ? b.name === job.queue : b.name === job.concurrency_key;
+    if (applies) stmt.run({ key: b.key, tokens: b.tokens - 1, now: nowMs });
+  }
+}
+
+/**
+ * Current usage for `queuectl status`:
+ * { concurrency: [{ key, in_flight, limit }], rates: [{ scope, name, rate, tokens, capacity }] }
+ * Concurrency keys are listed when they have a limit or jobs in flight.
+ */
+function limitUsage() {
+  const db = getDb();
+  const inFlight = db
+    .prepare(
+      `SELECT concurrency_key AS key, COUNT(*) AS c FROM jobs
+       WHERE state = 'processing' AND concurrency_key IS NOT NULL GROUP BY concurrency_key`
+    )
+    .all();
+  const limits = db
+    .prepare("SELECT key, value FROM config WHERE substr(key, 1, length(@p)) = @p")
+    .all({ p: CONCURRENCY_LIMIT_PREFIX });
+
+  const concurrency = {};
+  for (const row of inFlight) concurrency[row.key] = { key: row.key, in_flight: row.c, limit: null };
+  for (const row of limits) {
+    const key = row.key.slice(CONCURRENCY_LIMIT_PREFIX.length);
+    concurrency[key] = { key, in_flight: 0, ...concurrency[key], limit: parseInt(row.value, 10) };
+  }
+
+  const rates = rateBuckets(db).map((b) => ({
+    scope: b.scope,
+    name: b.name,
+    rate: b.rate,
+    tokens: Math.floor(b.tokens),
+    capacity: b.capacity,
+  }));
+
+  return {
+    concurrency: Object.values(concurrency).sort((a, b) => a.key.localeCompare(b.key)),
+    rates,
+  };
+}
+
+module.exports = {
+  parseRate,
+  rateBuckets,
+  secondsUntilToken,
+  takeTokens,
+  limitUsage,
+};
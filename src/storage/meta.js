@@ -0,0 +1,31 @@
+const { statement } = require("../db/database");
+
+// Get value by key (returns string or undefined)
+function getMeta(key) {
+  const row = statement("SELECT value FROM meta WHERE key = ?").get(key);
+  return row ? row.value : undefined;
+}
+
+// Set (insert or update) meta key/value
+function setMeta(key, value) {
+  statement(`
+    INSERT INTO meta (key, value)
+    VALUES (@key, @value)
+    ON CONFLICT(key) DO UPDATE SET value = excluded.value
+  `).run({ key, value });
+  return true;
+}
+
+function deleteMeta(key) {
+  const info = statement("DELETE FROM meta WHERE key = ?").run(key);
+  return info.changes > 0;
+}
+
+// All pairs whose key starts with `prefix`
+function listMeta(prefix = "") {
+  return statement(
+    "SELECT key, value FROM meta WHERE substr(key, 1, length(@prefix)) = @prefix ORDER BY key"
+  ).all({ prefix });
+}
+
+module.exports = { getMeta, setMeta, deleteMeta, listMeta };
@@ -0,0 +1,122 @@
+const { getDb, statement } = require("../db/database");
+const { countActiveWorkers } = require("./workers");
+
+// Upper bounds (seconds) of the job duration histogram buckets
+const DURATION_BUCKETS = [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 300, 900, 3600];
+
+// Counters bumped when a run ends with the outcome recorded for its attempt
+const OUTCOME_COUNTERS = {
+  completed: ["completed"],
+  retry: ["failed", "retried"],
+  dead: ["failed", "dead"],
+  cancelled: [],
+};
+
+const COUNTER_HELP = {
+  enqueued: ["queuectl_jobs_enqueued_total", "Jobs enqueued (duplicates excluded)"],
+  completed: ["queuectl_jobs_completed_total", "Job runs that completed successfully"],
+  failed: ["queuectl_jobs_failed_total", "Job runs that failed (including lost workers)"],
+  dead: ["queuectl_jobs_dead_total", "Jobs moved to the DLQ (final attempt or failed dependency)"],
+  retried: ["queuectl_job_retries_total", "Failed runs scheduled for another attempt"],
+};
+
+// Add `by` to a persisted counter. Call it inside the transaction that makes
+// the change being counted, so counters and jobs never disagree.
+function countMetric(db, name, queue, by = 1, le = "") {
+  statement(`
+    INSERT INTO metric_counters (name, queue, le, value) VALUES (@name, @queue, @le, @by)
+    ON CONFLICT(name, queue, le) DO UPDATE SET value = value + excluded.value
+  `).run({ name, queue, le, by });
+}
+
+// Count a finished run by outcome and record its duration in the histogram
+function countRun(db, queue, outcome, duration = null) {
+  for (const name of OUTCOME_COUNTERS[outcome] || []) countMetric(db, name, queue);
+  if (duration === null) return;
+  const bucket = DURATION_BUCKETS.find((le) => duration <= le);
+  countMetric(db, "duration_bucket", queue, 1, bucket === undefined ? "+Inf" : String(bucket));
+  countMetric(db, "duration_sum", queue, duration);
+  countMetric(db, "duration_count", queue);
+}
+
+/**
+ * Every metric for /metrics as families for utils/prometheus.js. Gauges are
+ * read from the jobs and workers tables; counters and the histogram from
+ * metric_counters, which every process updates, so they are the same
+ * whichever process serves the request.
+ */
+function collectMetrics(now = new Date()) {
+  const db = getDb();
+  const jobCounts = db
+    .prepare("SELECT queue, state, COUNT(*) AS c FROM jobs GROUP BY queue, state ORDER BY queue, state")
+    .all();
+  const oldestDue = db
+    .prepare(
+      `SELECT queue, MIN(run_after) AS due FROM jobs
+       WHERE state='pending' AND run_after <= @now GROUP BY queue`
+    )
+    .all({ now: now.toISOString() });
+  const counters = db.prepare("SELECT name, queue, le, value FROM metric_counters").all();
+
+  const queues = [...new Set([...jobCounts, ...counters].map((r) => r.queue))].sort();
+  const counterValue = (name, queue, le = "") => {
+    const row = counters.find((r) => r.name === name && r.queue === queue && r.le === le);
+    return row ? row.value : 0;
+  };
+
+  const families = [
+    {
+      name: "queuectl_jobs",
+      help: "Jobs currently in each state",
+      type: "gauge",
+      samples: jobCounts.map((r) => ({ labels: { queue: r.queue, state: r.state }, value: r.c })),
+    },
+    {
+      name: "queuectl_oldest_pending_job_age_seconds",
+      help: "Seconds the oldest pending job that is due to run has been waiting (0 when none)",
+      type: "gauge",
+      samples: queues.map((queue) => {
+        const row = oldestDue.find((r) => r.queue === queue);
+        const age = row ? Math.max(0, (now.getTime() - new Date(row.due).getTime()) / 1000) : 0;
+        return { labels: { queue }, value: age };
+      }),
+    },
+  ];
+
+  for (const [name, [metric, help]] of Object.entries(COUNTER_HELP)) {
+    families.push({
+      name: metric,
+      help,
+      type: "counter",
+      samples: queues.map((queue) => ({ labels: { queue }, value: counterValue(name, queue) })),
+    });
+  }
+
+  // Buckets are stored per bucket; Prometheus wants them cumulative
+  const histogram = [];
+  for (const queue of queues) {
+    let cumulative = 0;
+    for (const le of [...DURATION_BUCKETS.map(String), "+Inf"]) {
+      cumulative += counterValue("duration_bucket", queue, le);
+      histogram.push({ suffix: "_bucket", labels: { queue, le }, value: cumulative });
+    }
+    histogram.push({ suffix: "_sum", labels: { queue }, value: counterValue("duration_sum", queue) });
+    histogram.push({ suffix: "_count", labels: { queue }, value: counterValue("duration_count", queue) });
+  }
+  families.push({
+    name: "queuectl_job_duration_seconds",
+    help: "Execution time of finished job runs",
+    type: "histogram",
+    samples: histogram,
+  });
+
+  families.push({
+    name: "queuectl_workers_active",
+    help: "Workers running or finishing their current job",
+    type: "gauge",
+    samples: [{ value: countActiveWorkers() }],
+  });
+  return families;
+}
+
+module.exports = { DURATION_BUCKETS, countMetric, countRun, collectMetrics };
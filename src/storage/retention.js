@@ -0,0 +1,192 @@
+// src/storage/retention.js
+// Garbage collection of finished jobs: deletes completed and dead jobs past
+// their retention age (always keeping the newest `keepLast` of each state)
+// together with their dependencies, attempt history, hook deliveries and
+// log files, then hands the freed database pages back with an incremental
+// vacuum.
+const fs = require("fs");
+const path = require("path");
+const { getDb, databasePath } = require("../db/database");
+const { getConfig } = require("./config");
+const { logDir, jobLogDir } = require("../exec/logs");
+const { parseDuration } = require("../utils/units");
+
+// meta key holding when automatic retention last ran (shared by all workers)
+const LAST_RUN_KEY = "retention.last_run_at";
+
+function fileSize(file) {
+  try {
+    return fs.statSync(file).size;
+  } catch (err) {
+    return 0;
+  }
+}
+
+function dirSize(dir) {
+  let total = 0;
+  let entries = [];
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (err) {
+    return 0;
+  }
+  for (const entry of entries) {
+    const full = path.join(dir, entry.name);
+    total += entry.isDirectory() ? dirSize(full) : fileSize(full);
+  }
+  return total;
+}
+
+// Log files of a job: logs/<id>/ and the older single-file logs/<id>.log
+function jobLogPaths(jobId) {
+  return [jobLogDir(jobId), path.join(logDir(), `${jobId}.log`)].filter((p) => fs.existsSync(p));
+}
+
+/**
+ * IDs of the jobs a policy removes, by state. Only a state with an age is
+ * collected: `keepLast` protects the newest jobs of each state, it never
+ * selects any. Jobs that unfinished jobs still depend on are never collected.
+ */
+function selectGarbage(db, { completedOlderThan = null, deadOlderThan = null, keepLast = null }, now) {
+  const stmt = db
+    .prepare(
+      `SELECT id FROM jobs j
+       WHERE state = @state AND updated_at < @cutoff
+         AND id NOT IN (SELECT id FROM jobs WHERE state = @state ORDER BY updated_at DESC LIMIT @keep)
+         AND NOT EXISTS (
+           SELECT 1 FROM job_dependencies d JOIN jobs c ON c.id = d.job_id
+           WHERE d.depends_on = j.id AND c.state IN ('pending', 'blocked', 'processing')
+         )`
+    )
+    .pluck();
+
+  const garbage = {};
+  for (const [state, age] of [
+    ["completed", completedOlderThan],
+    ["dead", deadOlderThan],
+  ]) {
+    if (age === null) continue;
+    const cutoff = new Date(now.getTime() - age * 1000).toISOString();
+    garbage[state] = stmt.all({ state, cutoff, keep: keepLast || 0 });
+  }
+  return garbage;
+}
+
+/**
+ * Run one garbage collection. Ages are in seconds. With `dryRun` nothing is
+ * deleted and the report says what would be. A database created before
+ * incremental auto-vacuum existed is converted with one full VACUUM unless
+ * `convert` is false (automatic runs skip it).
+ * Returns { dryRun, jobs: { state: n }, attempts, logFiles, logBytes,
+ *           dbBytesBefore, dbBytesAfter, converted }.
+ */
+function collectGarbage(policy, { dryRun = false, convert = true, now = new Date() } = {}) {
+  const db = getDb();
+  const report = {
+    dryRun,
+    jobs: {},
+    attempts: 0,
+    logFiles: 0,
+    logBytes: 0,
+    dbBytesBefore: fileSize(databasePath()),
+    dbBytesAfter: null,
+    converted: false,
+  };
+
+  let deleted = [];
+  if (dryRun) {
+    const garbage = selectGarbage(db, policy, now);
+    const countAttempts = db.prepare("SELECT COUNT(*) FROM job_attempts WHERE job_id = ?").pluck();
+    for (const [state, ids] of Object.entries(garbage)) {
+      report.jobs[state] = ids.length;
+      for (const id of ids) report.attempts += countAttempts.get(id);
+      deleted.push(...ids);
+    }
+  } else {
+    // Selected and deleted in one write transaction, so a job retried or
+    // given a new dependent in between is not removed
+    deleted = db.transaction(() => {
+      const garbage = selectGarbage(db, policy, now);
+      const ids = [];
+      for (const [state, stateIds] of Object.entries(garbage)) {
+        report.jobs[state] = stateIds.length;
+        ids.push(...stateIds);
+      }
+      const list = JSON.stringify(ids);
+      report.attempts = db
+        .prepare("DELETE FROM job_attempts WHERE job_id IN (SELECT value FROM json_each(?))")
+        .run(list).changes;
+      db.prepare("DELETE FROM job_dependencies WHERE job_id IN (SELECT value FROM json_each(?))").run(list);
+      db.prepare(
+        `DELETE FROM hook_deliveries
+         WHERE job_id IN (SELECT value FROM json_each(?)) AND state IN ('delivered', 'failed')`
+      ).run(list);
+      db.prepare("DELETE FROM jobs WHERE id IN (SELECT value FROM json_each(?))").run(list);
+      return ids;
+    }).immediate();
+  }
+
+  for (const id of deleted) {
+    for (const p of jobLogPaths(id)) {
+      const isDir = fs.statSync(p).isDirectory();
+      report.logFiles += isDir ? fs.readdirSync(p).length : 1;
+      report.logBytes += isDir ? dirSize(p) : fileSize(p);
+      if (!dryRun) fs.rmSync(p, { recursive: true, force: true });
+    }
+  }
+
+  if (!dryRun) {
+    if (db.pragma("auto_vacuum", { simple: true }) !== 2 && convert) {
+      // Switching to incremental auto-vacuum needs one full VACUUM
+      db.pragma("auto_vacuum = INCREMENTAL");
+      db.exec("VACUUM");
+      report.converted = true;
+    }
+    if (db.pragma("auto_vacuum", { simple: true }) === 2) db.pragma("incremental_vacuum");
+    // The shrunk pages reach the database file once the WAL is checkpointed
+    db.pragma("wal_checkpoint(TRUNCATE)");
+    report.dbBytesAfter = fileSize(databasePath());
+  }
+  return report;
+}
+
+/**
+ * The automatic retention policy from config, or null when it has no age:
+ * `retention-completed` / `retention-dead` (durations like 7d) and
+ * `retention-keep-last`, which on its own deletes nothing.
+ */
+function retentionPolicy() {
+  const completed = getConfig("retention-completed");
+  const dead = getConfig("retention-dead");
+  const keepLast = getConfig("retention-keep-last");
+  if (!completed && !dead) return null;
+  return {
+    completedOlderThan: completed ? parseDuration(completed) : null,
+    deadOlderThan: dead ? parseDuration(dead) : null,
+    keepLast: keepLast ? parseInt(keepLast, 10) : null,
+  };
+}
+
+/**
+ * Run automatic retention if it is configured and `retention-interval`
+ * (default 1h) has passed since the last run by any process. The run is
+ * claimed with a compare-and-swap on meta, so many workers run it once.
+ * Returns the report, or null when it was not this process's turn.
+ */
+function runScheduledRetention(now = new Date()) {
+  const policy = retentionPolicy();
+  if (!policy) return null;
+  const intervalSeconds = parseDuration(getConfig("retention-interval") || "1h");
+
+  const db = getDb();
+  const claimed = db.transaction(() => {
+    const row = db.prepare("SELECT value FROM meta WHERE key = ?").get(LAST_RUN_KEY);
+    if (row && now.getTime() - new Date(row.value).getTime() < intervalSeconds * 1000) return false;
+    db.prepare("INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)").run(LAST_RUN_KEY, now.toISOString());
+    return true;
+  }).immediate();
+
+  return claimed ? collectGarbage(policy, { convert: false, now }) : null;
+}
+
+module.exports = { collectGarbage, selectGarbage, retentionPolicy, runScheduledRetention };
@@ -0,0 +1,95 @@
+const { v4: uuidv4 } = require("uuid");
+const { getDb } = require("../db/database");
+const { nextRun } = require("../utils/cron");
+const { validateJobInput } = require("./jobs");
+
+const MISSED_POLICIES = ["skip", "catchup"];
+const OVERLAP_POLICIES = ["allow", "skip"];
+
+function addSchedule({ cron, job, missed_policy = "skip", overlap_policy = "allow" }) {
+  // Catch a bad template now rather than on every run. The template is
+  // stored as given and validated again when it fires, so `delay` counts
+  // from each run rather than from now.
+  validateJobInput(job);
+  if (!MISSED_POLICIES.includes(missed_policy)) {
+    throw new Error(`Invalid missed policy '${missed_policy}' (expected ${MISSED_POLICIES.join(" | ")})`);
+  }
+  if (!OVERLAP_POLICIES.includes(overlap_policy)) {
+    throw new Error(`Invalid overlap policy '${overlap_policy}' (expected ${OVERLAP_POLICIES.join(" | ")})`);
+  }
+
+  const now = new Date();
+  const schedule = {
+    id: uuidv4(),
+    cron,
+    job_json: JSON.stringify(job),
+    paused: 0,
+    missed_policy,
+    overlap_policy,
+    // throws on an invalid expression before anything is stored
+    next_run_at: nextRun(cron, now).toISOString(),
+    last_run_at: null,
+    last_job_id: null,
+    created_at: now.toISOString(),
+    updated_at: now.toISOString(),
+  };
+
+  const db = getDb();
+  db.prepare(`
+    INSERT INTO schedules (
+      id, cron, job_json, paused, missed_policy, overlap_policy,
+      next_run_at, last_run_at, last_job_id, created_at, updated_at
+    ) VALUES (
+      @id, @cron, @job_json, @paused, @missed_policy, @overlap_policy,
+      @next_run_at, @last_run_at, @last_job_id, @created_at, @updated_at
+    )
+  `).run(schedule);
+  return schedule;
+}
+
+function getSchedule(id) {
+  const db = getDb();
+  const schedule = db.prepare("SELECT * FROM schedules WHERE id = ?").get(id);
+  return schedule;
+}
+
+function listSchedules() {
+  const db = getDb();
+  const rows = db.prepare("SELECT * FROM schedules ORDER BY created_at ASC").all();
+  return rows;
+}
+
+// Pause or resume. Resuming starts from the next slot after now, so the
+// paused period is never caught up.
+function setSchedulePaused(id, paused) {
+  const db = getDb();
+  const schedule = db.prepare("SELECT * FROM schedules WHERE id = ?").get(id);
+  if (!schedule) return false;
+
+  const now = new Date();
+  const next_run_at = paused ? schedule.next_run_at : nextRun(schedule.cron, now).toISOString();
+  const info = db
+    .prepare(
+      `UPDATE schedules
+       SET paused=@paused, next_run_at=@next_run_at, updated_at=@now
+       WHERE id=@id`
+    )
+    .run({ id, paused: paused ? 1 : 0, next_run_at, now: now.toISOString() });
+  return info.changes > 0;
+}
+
+function removeSchedule(id) {
+  const db = getDb();
+  const info = db.prepare("DELETE FROM schedules WHERE id = ?").run(id);
+  return info.changes > 0;
+}
+
+module.exports = {
+  MISSED_POLICIES,
+  OVERLAP_POLICIES,
+  addSchedule,
+  getSchedule,
+  listSchedules,
+  setSchedulePaused,
+  removeSchedule,
+};
@@ -0,0 +1,308 @@
+// src/storage/snapshot.js
+// Export/import of a queue: jobs (with dependencies and attempt history),
+// config, schedules and batches. Workers, leases, rate-limit buckets, hook
+// deliveries, metric counters and the host's meta state (autoscaler slots,
+// retention runs, depth alerts) belong to the host and are not carried.
+//
+// A JSONL snapshot starts with a header line, then one record per line:
+//   {"type":"header","format":"queuectl-snapshot","version":1,"exported_at":"...","counts":{...}}
+//   {"type":"job","data":{...jobs row...}}
+//   {"type":"dependency"|"attempt"|"config"|"schedule"|"batch","data":{...}}
+const fs = require("fs");
+const Database = require("better-sqlite3");
+const { getDb } = require("../db/database");
+const { JOB_STATES } = require("./jobs");
+const { invalidateConfig } = require("./config");
+const { ValidationError, ConflictError } = require("../utils/errors");
+
+const SNAPSHOT_FORMAT = "queuectl-snapshot";
+const SNAPSHOT_VERSION = 1;
+const EXPORT_FORMATS = ["jsonl", "sqlite"];
+const CONFLICT_POLICIES = ["skip", "overwrite"];
+const SQLITE_HEADER = "SQLite format 3\0";
+
+// Record type → table, for the tables copied as they are
+const PLAIN_TABLES = { config: "config", schedule: "schedules", batch: "batches" };
+// meta rows a SQLite export keeps: the ones describing the database itself.
+// The job change counter must stay ahead of the copied jobs' change_seq.
+const DATABASE_META = ["schema.version", "schema.hold", "jobs.change_seq"];
+const DATABASE_META_PREFIX = "schema.applied_at.";
+// Jobs that still wait on their parents (or may be retried after them)
+const UNFINISHED_STATES = ["pending", "blocked", "processing"];
+
+// "pending,dead" → ["pending", "dead"] (null = every state)
+function parseStates(value) {
+  if (!value) return null;
+  const states = String(value)
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+  const unknown = states.filter((s) => !JOB_STATES.includes(s));
+  if (unknown.length) {
+    throw new ValidationError(`Unknown state(s): ${unknown.join(", ")} (expected ${JOB_STATES.join(" | ")})`);
+  }
+  return states;
+}
+
+function tableExists(db, table) {
+  return Boolean(db.prepare("SELECT 1 FROM sqlite_master WHERE type='table' AND name=?").get(table));
+}
+
+/**
+ * Every record of a snapshot read from `db`, jobs restricted to `states`.
+ * Reads run in one transaction so the records form a consistent snapshot
+ * even while workers write.
+ */
+function readRecords(db, states = null) {
+  const jobFilter = states ? `state IN (${states.map(() => "?").join(", ")})` : "1=1";
+  const params = states || [];
+  const jobIds = `SELECT id FROM jobs WHERE ${jobFilter}`;
+
+  return db.transaction(() => {
+    const records = [];
+    const add = (type, rows) => rows.forEach((data) => records.push({ type, data }));
+
+    add("job", db.prepare(`SELECT * FROM jobs WHERE ${jobFilter} ORDER BY created_at, id`).all(...params));
+    add("dependency", db.prepare(`SELECT * FROM job_dependencies WHERE job_id IN (${jobIds})`).all(...params));
+    if (tableExists(db, "job_attempts")) {
+      // Attempt ids are local; the target database numbers them again
+      const attempts = db
+        .prepare(`SELECT * FROM job_attempts WHERE job_id IN (${jobIds}) ORDER BY id`)
+        .all(...params)
+        .map(({ id, ...attempt }) => attempt);
+      add("attempt", attempts);
+    }
+    for (const [type, table] of Object.entries(PLAIN_TABLES)) {
+      if (tableExists(db, table)) add(type, db.prepare(`SELECT * FROM ${table}`).all());
+    }
+    return records;
+  })();
+}
+
+function countRecords(records) {
+  const counts = {};
+  for (const r of records) counts[r.type] = (counts[r.type] || 0) + 1;
+  return counts;
+}
+
+/**
+ * Write a snapshot of the live database. `jsonl` goes to `file` (stdout when
+ * null); `sqlite` is a standalone database copy made with VACUUM INTO, which
+ * reads a consistent snapshot without stopping writers.
+ * Returns the record counts.
+ */
+function exportSnapshot({ file = null, format = "jsonl", states = null } = {}) {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new ValidationError(`Format must be one of ${EXPORT_FORMATS.join(" | ")}`);
+  }
+  if (format === "sqlite") {
+    if (!file) throw new ValidationError("A SQLite export needs an output file");
+    if (fs.existsSync(file)) throw new ConflictError(`${file} already exists`);
+  }
+
+  const db = getDb();
+  if (format === "jsonl") {
+    const records = readRecords(db, states);
+    const counts = countRecords(records);
+    const header = {
+      type: "header",
+      format: SNAPSHOT_FORMAT,
+      version: SNAPSHOT_VERSION,
+      exported_at: new Date().toISOString(),
+      counts,
+    };
+    const lines = [header, ...records].map((r) => JSON.stringify(r));
+    const text = lines.join("\n") + "\n";
+    if (file) fs.writeFileSync(file, text);
+    else process.stdout.write(text);
+    return counts;
+  }
+
+  db.prepare("VACUUM INTO ?").run(file);
+
+  // Drop what the copy should not carry: host-only tables and filtered-out jobs
+  const copy = new Database(file);
+  try {
+    copy.transaction(() => {
+      for (const table of ["workers", "rate_buckets", "hook_deliveries", "metric_counters"]) {
+        if (tableExists(copy, table)) copy.prepare(`DELETE FROM ${table}`).run();
+      }
+      const dropMeta = copy.prepare("DELETE FROM meta WHERE key = ?");
+      for (const { key } of copy.prepare("SELECT key FROM meta").all()) {
+        if (!DATABASE_META.includes(key) && !key.startsWith(DATABASE_META_PREFIX)) dropMeta.run(key);
+      }
+      // Processes using the copy count config changes from scratch
+      copy.prepare("INSERT INTO meta (key, value) VALUES ('config.version', '0')").run();
+      if (states) {
+        const keep = `SELECT id FROM jobs WHERE state IN (${states.map(() => "?").join(", ")})`;
+        copy.prepare(`DELETE FROM job_dependencies WHERE job_id NOT IN (${keep})`).run(...states);
+        copy.prepare(`DELETE FROM job_attempts WHERE job_id NOT IN (${keep})`).run(...states);
+        copy.prepare(`DELETE FROM jobs WHERE id NOT IN (${keep})`).run(...states);
+      }
+    })();
+    copy.exec("VACUUM");
+    return countRecords(readRecords(copy));
+  } finally {
+    copy.close();
+  }
+}
+
+// Records of a snapshot file in either format
+function loadSnapshot(file) {
+  const fd = fs.openSync(file, "r");
+  const head = Buffer.alloc(SQLITE_HEADER.length);
+  fs.readSync(fd, head, 0, head.length, 0);
+  fs.closeSync(fd);
+
+  if (head.toString("latin1") === SQLITE_HEADER) {
+    const source = new Database(file, { readonly: true, fileMustExist: true });
+    try {
+      if (!tableExists(source, "jobs")) throw new ValidationError(`${file} is not a queuectl database`);
+      return readRecords(source);
+    } finally {
+      source.close();
+    }
+  }
+
+  const records = [];
+  let header = null;
+  fs.readFileSync(file, "utf8")
+    .split(/\r?\n/)
+    .forEach((line, i) => {
+      if (!line.trim()) return;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (err) {
+        throw new ValidationError(`Line ${i + 1}: invalid JSON (${err.message})`);
+      }
+      if (record.type === "header") header = record;
+      else records.push(record);
+    });
+  if (!header || header.format !== SNAPSHOT_FORMAT) {
+    throw new ValidationError(`${file} is not a queuectl snapshot (missing header line)`);
+  }
+  if (header.version > SNAPSHOT_VERSION) {
+    throw new ValidationError(`Snapshot version ${header.version} is newer than this queuectl supports (${SNAPSHOT_VERSION})`);
+  }
+  return records;
+}
+
+/**
+ * Import a snapshot file (JSONL or SQLite) into the live database in one
+ * transaction. Existing IDs (jobs, schedules, batches) and config keys are
+ * kept with onConflict 'skip' and replaced with 'overwrite'; a job that is
+ * processing here is never replaced. `resetProcessing` turns imported
+ * 'processing' jobs into 'pending' (otherwise the reaper reclaims them once
+ * their lease runs out). `states` limits which jobs are imported; an
+ * unfinished job whose parents are neither imported nor already here is
+ * left out (it would stay blocked forever), and so are its dependents.
+ * Returns { <type>: { imported, skipped } }, plus `missing_parents` for jobs.
+ */
+function importSnapshot(file, { onConflict = "skip", resetProcessing = false, states = null } = {}) {
+  if (!CONFLICT_POLICIES.includes(onConflict)) {
+    throw new ValidationError(`onConflict must be one of ${CONFLICT_POLICIES.join(" | ")}`);
+  }
+  const records = loadSnapshot(file);
+  const overwrite = onConflict === "overwrite";
+
+  const db = getDb();
+  const columns = {};
+  const statements = new Map();
+  const columnsOf = (table) =>
+    (columns[table] = columns[table] || new Set(db.prepare(`PRAGMA table_info(${table})`).all().map((c) => c.name)));
+
+  // Columns the local schema does not have (a newer export) are dropped
+  function insertRow(table, row, replace) {
+    const cols = Object.keys(row).filter((c) => columnsOf(table).has(c));
+    const sql = `INSERT ${replace ? "OR REPLACE" : "OR IGNORE"} INTO ${table} (${cols.join(", ")})
+                 VALUES (${cols.map((c) => `@${c}`).join(", ")})`;
+    if (!statements.has(sql)) statements.set(sql, db.prepare(sql));
+    return statements.get(sql).run(Object.fromEntries(cols.map((c) => [c, row[c]]))).changes > 0;
+  }
+
+  const summary = {};
+  const tally = (type, imported) => {
+    summary[type] = summary[type] || { imported: 0, skipped: 0 };
+    summary[type][imported ? "imported" : "skipped"]++;
+  };
+
+  const run = db.transaction(() => {
+    const now = new Date().toISOString();
+    const imported = new Set();
+    const existingJob = db.prepare("SELECT state FROM jobs WHERE id = ?");
+
+    // The jobs to write, by id
+    const incoming = new Map();
+    for (const { type, data } of records) {
+      if (type !== "job") continue;
+      if (states && !states.includes(data.state)) continue;
+      const existing = existingJob.get(data.id);
+      if (existing && (!overwrite || existing.state === "processing")) {
+        tally("job", false);
+        continue;
+      }
+      incoming.set(data.id, { data, existing });
+    }
+
+    // Drop unfinished jobs with a parent that is neither incoming nor here,
+    // again until none is left, as dropping one can orphan its children
+    const parentsOf = new Map();
+    for (const { type, data } of records) {
+      if (type !== "dependency" || !incoming.has(data.job_id)) continue;
+      parentsOf.set(data.job_id, [...(parentsOf.get(data.job_id) || []), data.depends_on]);
+    }
+    let missingParents = 0;
+    for (let dropped = true; dropped; ) {
+      dropped = false;
+      for (const [id, { data }] of incoming) {
+        if (!UNFINISHED_STATES.includes(data.state)) continue;
+        if ((parentsOf.get(id) || []).every((parent) => incoming.has(parent) || existingJob.get(parent))) continue;
+        incoming.delete(id);
+        missingParents++;
+        dropped = true;
+      }
+    }
+    if (missingParents) {
+      summary.job = summary.job || { imported: 0, skipped: 0 };
+      summary.job.missing_parents = missingParents;
+    }
+
+    for (const { data, existing } of incoming.values()) {
+      const job = { ...data };
+      if (resetProcessing && job.state === "processing") {
+        Object.assign(job, { state: "pending", worker_id: null, lease_expires_at: null, updated_at: now });
+      }
+      if (existing) {
+        // The snapshot's dependencies and history replace the local ones
+        db.prepare("DELETE FROM job_dependencies WHERE job_id = ?").run(job.id);
+        db.prepare("DELETE FROM job_attempts WHERE job_id = ?").run(job.id);
+      }
+      insertRow("jobs", job, true);
+      imported.add(job.id);
+      tally("job", true);
+    }
+
+    for (const { type, data } of records) {
+      if (type === "dependency" || type === "attempt") {
+        if (!imported.has(data.job_id)) continue;
+        insertRow(type === "dependency" ? "job_dependencies" : "job_attempts", data, false);
+        tally(type, true);
+      } else if (PLAIN_TABLES[type]) {
+        tally(type, insertRow(PLAIN_TABLES[type], data, overwrite));
+      }
+    }
+  });
+
+  run.immediate();
+  invalidateConfig();
+  return summary;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  CONFLICT_POLICIES,
+  parseStates,
+  exportSnapshot,
+  importSnapshot,
+};
@@ -0,0 +1,125 @@
+const os = require("os");
+const { v4: uuidv4 } = require("uuid");
+const { statement } = require("../db/database");
+const { getConfig } = require("./config");
+
+// Seconds between heartbeats, and without one before a worker counts as lost
+function heartbeatIntervalSeconds() {
+  return parseInt(getConfig("worker-heartbeat-interval") || "5", 10);
+}
+
+function lostTimeoutSeconds() {
+  return parseInt(getConfig("worker-lost-timeout") || "30", 10);
+}
+
+function registerWorker({ queues = [] } = {}) {
+  const now = new Date().toISOString();
+  const worker = {
+    id: uuidv4(),
+    pid: process.pid,
+    host: os.hostname(),
+    queues: queues.length ? queues.join(",") : null,
+    state: "running",
+    started_at: now,
+    last_heartbeat_at: now,
+  };
+  statement(`
+    INSERT INTO workers (id, pid, host, queues, state, started_at, last_heartbeat_at)
+    VALUES (@id, @pid, @host, @queues, @state, @started_at, @last_heartbeat_at)
+  `).run(worker);
+  return worker;
+}
+
+// Refresh last_heartbeat_at. Returns true if a stop was requested for this worker.
+function heartbeatWorker(id) {
+  const now = new Date().toISOString();
+  statement(`
+    UPDATE workers
+    SET last_heartbeat_at=@now,
+        state = CASE WHEN state='lost' THEN 'running' ELSE state END
+    WHERE id=@id
+  `).run({ id, now });
+  const row = statement("SELECT stop_requested FROM workers WHERE id = ?").get(id);
+  return Boolean(row && row.stop_requested);
+}
+
+function setWorkerJob(id, jobId) {
+  statement("UPDATE workers SET current_job_id=@jobId WHERE id=@id").run({ id, jobId });
+}
+
+// Count a finished job run against the worker and clear its current job
+function recordWorkerResult(id, failed) {
+  statement(`
+    UPDATE workers
+    SET processed = processed + 1,
+        failed = failed + @failed,
+        current_job_id = NULL
+    WHERE id=@id
+  `).run({ id, failed: failed ? 1 : 0 });
+}
+
+function markWorkerStopped(id) {
+  const now = new Date().toISOString();
+  statement(`
+    UPDATE workers
+    SET state='stopped', current_job_id=NULL, stopped_at=@now
+    WHERE id=@id
+  `).run({ id, now });
+}
+
+// Heartbeats older than this mean the worker is lost
+function lostCutoff() {
+  return new Date(Date.now() - lostTimeoutSeconds() * 1000).toISOString();
+}
+
+// Flag running workers whose heartbeats have stopped as 'lost' (the reaper's job)
+function markLostWorkers() {
+  const info = statement(
+    `UPDATE workers SET state='lost'
+     WHERE state IN ('running', 'stopping') AND last_heartbeat_at < @cutoff`
+  ).run({ cutoff: lostCutoff() });
+  return info.changes;
+}
+
+// Running, stopping and lost workers (plus stopped ones with `all`). Read
+// only: a worker past its heartbeat shows as lost before the reaper marks it.
+function listWorkers({ all = false } = {}) {
+  const cutoff = lostCutoff();
+  return statement(`SELECT * FROM workers ${all ? "" : "WHERE state != 'stopped'"} ORDER BY started_at ASC`)
+    .all()
+    .map((w) =>
+      (w.state === "running" || w.state === "stopping") && w.last_heartbeat_at < cutoff ? { ...w, state: "lost" } : w
+    );
+}
+
+// Workers running or stopping with a recent heartbeat (read only, for scrapes)
+function countActiveWorkers() {
+  return statement(
+    `SELECT COUNT(*) AS c FROM workers
+     WHERE state IN ('running', 'stopping') AND last_heartbeat_at >= @cutoff`
+  ).get({ cutoff: lostCutoff() }).c;
+}
+
+// Ask one worker (or every worker when id is null) to finish its job and exit
+function requestWorkerStop(id = null) {
+  const stmt = id
+    ? statement(
+        "UPDATE workers SET stop_requested=1, state='stopping' WHERE id=@id AND state IN ('running', 'stopping')"
+      )
+    : statement("UPDATE workers SET stop_requested=1, state='stopping' WHERE state IN ('running', 'stopping')");
+  const info = id ? stmt.run({ id }) : stmt.run();
+  return info.changes;
+}
+
+module.exports = {
+  heartbeatIntervalSeconds,
+  registerWorker,
+  heartbeatWorker,
+  setWorkerJob,
+  recordWorkerResult,
+  markWorkerStopped,
+  markLostWorkers,
+  listWorkers,
+  countActiveWorkers,
+  requestWorkerStop,
+};
@@ -0,0 +1,186 @@
+// src/utils/cron.js
+// Minimal 5-field cron parser: "minute hour day-of-month month day-of-week".
+// Supports *, lists (1,2), ranges (1-5), steps (*/15, 1-30/5), month/day
+// names (jan, mon) and the @hourly/@daily/@weekly/@monthly/@yearly macros.
+// Times are evaluated in the local time zone of the process, like cron.
+
+const MACROS = {
+  "@yearly": "0 0 1 1 *",
+  "@annually": "0 0 1 1 *",
+  "@monthly": "0 0 1 * *",
+  "@weekly": "0 0 * * 0",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@hourly": "0 * * * *",
+};
+
+const MONTH_NAMES = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { name: "day of week", min: 0, max: 7, names: DAY_NAMES, offset: 0 },
+];
+
+// Give up looking for a match after this many years (e.g. "0 0 30 2 *")
+const SEARCH_LIMIT_YEARS = 5;
+
+function parseValue(token, field) {
+  const lower = token.toLowerCase();
+  if (field.names && field.names.includes(lower)) {
+    return field.names.indexOf(lower) + field.offset;
+  }
+  if (!/^\d+$/.test(token)) {
+    throw new Error(`Invalid ${field.name} value: '${token}'`);
+  }
+  const value = parseInt(token, 10);
+  if (value < field.min || value > field.max) {
+    throw new Error(`${field.name} value out of range (${field.min}-${field.max}): ${value}`);
+  }
+  return value;
+}
+
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(",")) {
+    const [rangeText, stepText] = part.split("/");
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    if (!(step > 0) || (stepText !== undefined && !/^\d+$/.test(stepText))) {
+      throw new Error(`Invalid step in ${field.name}: '${part}'`);
+    }
+
+    let start;
+    let end;
+    if (rangeText === "*") {
+      start = field.min;
+      end = field.max;
+    } else if (rangeText.includes("-")) {
+      const [a, b] = rangeText.split("-");
+      start = parseValue(a, field);
+      end = parseValue(b, field);
+      if (start > end) throw new Error(`Invalid range in ${field.name}: '${part}'`);
+    } else {
+      start = parseValue(rangeText, field);
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let v = start; v <= end; v += step) values.add(v);
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression. Throws an Error describing the first invalid field.
+ * Returns { minute, hour, dayOfMonth, month, dayOfWeek } as Sets plus the
+ * flags cron needs to decide how day-of-month and day-of-week combine.
+ */
+function parseCron(expr) {
+  const source = MACROS[String(expr).trim().toLowerCase()] || String(expr).trim();
+  const parts = source.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression must have 5 fields, got ${parts.length}: '${expr}'`);
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((p, i) => parseField(p, FIELDS[i]));
+  // 7 is an alias for Sunday
+  if (dayOfWeek.has(7)) dayOfWeek.add(0);
+
+  return {
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    anyDayOfMonth: parts[2] === "*",
+    anyDayOfWeek: parts[4] === "*",
+  };
+}
+
+function dayMatches(cron, date) {
+  const dom = cron.dayOfMonth.has(date.getDate());
+  const dow = cron.dayOfWeek.has(date.getDay());
+  // Like cron: when both fields are restricted, either one may match
+  if (!cron.anyDayOfMonth && !cron.anyDayOfWeek) return dom || dow;
+  return dom && dow;
+}
+
+/**
+ * Return the first Date strictly after `after` that matches the expression.
+ */
+function nextRun(expr, after = new Date()) {
+  const cron = typeof expr === "string" ? parseCron(expr) : expr;
+  const d = new Date(after);
+  d.setSeconds(0, 0);
+  d.setMinutes(d.getMinutes() + 1);
+
+  const limit = new Date(d);
+  limit.setFullYear(limit.getFullYear() + SEARCH_LIMIT_YEARS);
+
+  while (d <= limit) {
+    if (!cron.month.has(d.getMonth() + 1)) {
+      d.setMonth(d.getMonth() + 1, 1);
+      d.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!dayMatches(cron, d)) {
+      d.setDate(d.getDate() + 1);
+      d.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cron.hour.has(d.getHours())) {
+      d.setHours(d.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!cron.minute.has(d.getMinutes())) {
+      d.setMinutes(d.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return d;
+  }
+
+  throw new Error(`Cron expression never matches: '${expr}'`);
+}
+
+/**
+ * Return the last Date at or before `atOrBefore` that matches the
+ * expression: nextRun run backwards, a field at a time.
+ */
+function previousRun(expr, atOrBefore = new Date()) {
+  const cron = typeof expr === "string" ? parseCron(expr) : expr;
+  const d = new Date(atOrBefore);
+  d.setSeconds(0, 0);
+
+  const limit = new Date(d);
+  limit.setFullYear(limit.getFullYear() - SEARCH_LIMIT_YEARS);
+
+  // Each step lands on the last minute of the previous month, day or hour
+  while (d >= limit) {
+    if (!cron.month.has(d.getMonth() + 1)) {
+      d.setDate(1);
+      d.setHours(0, -1, 0, 0);
+      continue;
+    }
+    if (!dayMatches(cron, d)) {
+      d.setHours(0, -1, 0, 0);
+      continue;
+    }
+    if (!cron.hour.has(d.getHours())) {
+      d.setMinutes(-1, 0, 0);
+      continue;
+    }
+    if (!cron.minute.has(d.getMinutes())) {
+      d.setMinutes(d.getMinutes() - 1, 0, 0);
+      continue;
+    }
+    return d;
+  }
+
+  throw new Error(`Cron expression never matches: '${expr}'`);
+}
+
+module.exports = { parseCron, nextRun, previousRun };
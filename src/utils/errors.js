@@ -0,0 +1,31 @@
+// src/utils/errors.js
+// Error types shared by the storage layer, the CLI and the HTTP API.
+
+// Bad input from the caller (HTTP 400)
+class ValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ValidationError";
+    this.status = 400;
+  }
+}
+
+// Referenced job/config/etc. does not exist (HTTP 404)
+class NotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "NotFoundError";
+    this.status = 404;
+  }
+}
+
+// The request is valid but not in the resource's current state (HTTP 409)
+class ConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ConflictError";
+    this.status = 409;
+  }
+}
+
+module.exports = { ValidationError, NotFoundError, ConflictError };
@@ -0,0 +1,100 @@
+// src/utils/instance.js
+// The queue instance a process works on: its database file and log directory.
+// Separate instances (e.g. staging and production) share nothing.
+//
+//   --db <file>          QUEUECTL_DB        database file
+//   --data-dir <dir>     QUEUECTL_HOME      home: queuectl.sqlite3, logs/ and profiles/
+//   --profile <name>     QUEUECTL_PROFILE   use <home>/profiles/<name>/ instead
+//                        QUEUECTL_LOG_DIR   log directory
+//
+// Options win over the environment variables. Without --db the database is
+// <data dir>/queuectl.sqlite3; without QUEUECTL_LOG_DIR logs go to logs/ beside
+// the database. The default home is ~/.queuectl, except that a source checkout
+// which already has data/queuectl.sqlite3 keeps using it.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const DB_FILE = "queuectl.sqlite3";
+const PROFILE_NAME = /^[A-Za-z0-9_.-]+$/;
+const LEGACY_DB = path.resolve(__dirname, "../../data", DB_FILE);
+const LEGACY_LOG_DIR = path.resolve(__dirname, "../../logs");
+
+let selected = null;
+
+function defaultHome() {
+  return path.join(os.homedir(), ".queuectl");
+}
+
+/**
+ * Resolve { home, profile, dataDir, dbPath, logDir } from CLI options
+ * ({ db, dataDir, profile }) and the environment.
+ */
+function resolveInstance(options = {}, env = process.env) {
+  // Any location option replaces all three variables, so --profile is not
+  // overridden by a QUEUECTL_DB left in the environment
+  if (options.db || options.dataDir || options.profile) {
+    env = { QUEUECTL_LOG_DIR: env.QUEUECTL_LOG_DIR };
+  }
+  const profile = options.profile || env.QUEUECTL_PROFILE || null;
+  if (profile && !PROFILE_NAME.test(profile)) {
+    throw new Error(`Invalid profile name '${profile}' (letters, digits, '.', '_' and '-' only)`);
+  }
+  const explicitHome = options.dataDir || env.QUEUECTL_HOME || null;
+  const explicitDb = options.db || env.QUEUECTL_DB || null;
+
+  // The checkout's own database, from before instances were configurable
+  if (!explicitHome && !explicitDb && !profile && fs.existsSync(LEGACY_DB)) {
+    return {
+      home: path.dirname(LEGACY_DB),
+      profile: null,
+      dataDir: path.dirname(LEGACY_DB),
+      dbPath: LEGACY_DB,
+      logDir: env.QUEUECTL_LOG_DIR ? path.resolve(env.QUEUECTL_LOG_DIR) : LEGACY_LOG_DIR,
+    };
+  }
+
+  const home = path.resolve(explicitHome || defaultHome());
+  const dataDir = profile ? path.join(home, "profiles", profile) : home;
+  const dbPath = path.resolve(explicitDb || path.join(dataDir, DB_FILE));
+  const logDir = path.resolve(env.QUEUECTL_LOG_DIR || path.join(path.dirname(dbPath), "logs"));
+  return { home, profile, dataDir, dbPath, logDir };
+}
+
+/**
+ * Select the instance for this process. Must run before the database is
+ * opened. The environment is left alone: processes started from here get
+ * the instance through instanceEnv().
+ */
+function selectInstance(options = {}) {
+  selected = resolveInstance(options);
+  return selected;
+}
+
+// The selected instance, or the one the environment points at
+function currentInstance() {
+  if (!selected) selected = resolveInstance();
+  return selected;
+}
+
+// Variables that point a child process (job or hook command) at this instance
+function instanceEnv() {
+  const { dbPath, logDir } = currentInstance();
+  return { QUEUECTL_DB: dbPath, QUEUECTL_LOG_DIR: logDir };
+}
+
+// Profiles that exist under `home`: [{ name, dbPath, exists }]
+function listProfiles(home = currentInstance().home) {
+  const dir = path.join(home, "profiles");
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir, { withFileTypes: true })
+    .filter((e) => e.isDirectory() && PROFILE_NAME.test(e.name))
+    .map((e) => {
+      const dbPath = path.join(dir, e.name, DB_FILE);
+      return { name: e.name, dbPath, exists: fs.existsSync(dbPath) };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+module.exports = { resolveInstance, selectInstance, currentInstance, instanceEnv, listProfiles };
@@ -0,0 +1,37 @@
+// src/utils/prometheus.js
+// Prometheus text exposition format (version 0.0.4).
+
+const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function formatValue(value) {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  if (Number.isNaN(value)) return "NaN";
+  return String(value);
+}
+
+/**
+ * Render metric families as text. Each family is
+ * { name, help, type: 'counter'|'gauge'|'histogram', samples: [{ suffix?, labels?, value }] };
+ * `suffix` is appended to the name (histograms: "_bucket", "_sum", "_count").
+ */
+function formatMetrics(families) {
+  const lines = [];
+  for (const family of families) {
+    lines.push(`# HELP ${family.name} ${family.help}`);
+    lines.push(`# TYPE ${family.name} ${family.type}`);
+    for (const sample of family.samples) {
+      const labels = Object.entries(sample.labels || {})
+        .map(([k, v]) => `${k}="${escapeLabel(v)}"`)
+        .join(",");
+      lines.push(`${family.name}${sample.suffix || ""}${labels ? `{${labels}}` : ""} ${formatValue(sample.value)}`);
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+module.exports = { CONTENT_TYPE, formatMetrics };
@@ -0,0 +1,69 @@
+// src/utils/retry.js
+// Retry policies: whether a failed run is retried and how long to wait.
+//
+//   fixed               backoff seconds every time
+//   linear              backoff * attempts seconds
+//   exponential         backoff ^ attempts seconds
+//   exponential-jitter  random between 0 and backoff ^ attempts ("full jitter")
+//
+// Every delay is capped at max_delay seconds (0 = no cap).
+
+const RETRY_POLICIES = ["fixed", "linear", "exponential", "exponential-jitter"];
+
+function retryDelaySeconds({ retry_policy, backoff, max_delay }, attempts, random = Math.random) {
+  let delay;
+  switch (retry_policy) {
+    case "fixed":
+      delay = backoff;
+      break;
+    case "linear":
+      delay = backoff * attempts;
+      break;
+    case "exponential":
+      delay = Math.pow(backoff, attempts);
+      break;
+    case "exponential-jitter":
+      delay = random() * Math.pow(backoff, attempts);
+      break;
+    default:
+      throw new Error(`Unknown retry policy '${retry_policy}' (expected ${RETRY_POLICIES.join(" | ")})`);
+  }
+  if (max_delay > 0) delay = Math.min(delay, max_delay);
+  // Whole milliseconds keep run_after and the log messages readable
+  return Math.round(delay * 1000) / 1000;
+}
+
+/**
+ * Decide whether a failed run may be retried, ignoring the attempt limit.
+ * Timeouts follow `retry_on_timeout`; other failures are matched on exit
+ * code against `no_retry_on` (never retry) and, when non-empty, `retry_on`
+ * (retry only these). Returns null when retryable, otherwise the reason.
+ */
+function nonRetryableReason(options, { code, timedOut }) {
+  if (timedOut) return options.retry_on_timeout ? null : "timeouts are not retried";
+  if (options.no_retry_on.includes(code)) return `exit code ${code} is not retryable`;
+  if (options.retry_on.length && !options.retry_on.includes(code)) {
+    return `exit code ${code} is not in retry_on (${options.retry_on.join(", ")})`;
+  }
+  return null;
+}
+
+// Exit code lists from config are stored as "2,64,78"
+function parseExitCodes(value) {
+  if (!value) return [];
+  return String(value)
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((s) => {
+      const code = Number(s);
+      if (!isExitCode(code)) throw new Error(`Invalid exit code '${s}'`);
+      return code;
+    });
+}
+
+function isExitCode(code) {
+  return Number.isInteger(code) && code >= 0 && code <= 255;
+}
+
+module.exports = { RETRY_POLICIES, retryDelaySeconds, nonRetryableReason, parseExitCodes, isExitCode };
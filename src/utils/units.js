@@ -0,0 +1,26 @@
+// src/utils/units.js
+// Human-friendly units: durations for retention settings ("90s", "30m",
+// "12h", "7d", "2w"; a bare number is seconds) and byte sizes for reports.
+
+const UNIT_SECONDS = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+
+// Duration string → seconds; throws on anything else
+function parseDuration(value) {
+  const match = /^\s*(\d+(?:\.\d+)?)\s*([smhdw]?)\s*$/i.exec(String(value));
+  if (!match) throw new Error(`Invalid duration '${value}' (expected e.g. 30m, 12h, 7d or 2w)`);
+  return Number(match[1]) * UNIT_SECONDS[(match[2] || "s").toLowerCase()];
+}
+
+// Bytes → "1.2 MB"
+function formatBytes(bytes) {
+  const units = ["B", "KB", "MB", "GB"];
+  let value = bytes;
+  let i = 0;
+  while (Math.abs(value) >= 1024 && i < units.length - 1) {
+    value /= 1024;
+    i++;
+  }
+  return `${i === 0 ? value : value.toFixed(1)} ${units[i]}`;
+}
+
+module.exports = { parseDuration, formatBytes };
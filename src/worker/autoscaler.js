@@ -0,0 +1,163 @@
+// src/worker/autoscaler.js
+const os = require("os");
+const { getConfig } = require("../storage/config");
+const { readyJobStats } = require("../storage/jobs");
+const { listWorkers } = require("../storage/workers");
+const { setMeta, deleteMeta } = require("../storage/meta");
+
+// Each manager publishes its autoscaler state under this meta key prefix
+const AUTOSCALE_META_PREFIX = "autoscale.";
+
+function autoscaleSettings() {
+  return {
+    intervalSeconds: parseInt(getConfig("autoscale-interval") || "5", 10),
+    jobsPerWorker: parseInt(getConfig("autoscale-jobs-per-worker") || "5", 10),
+    maxWaitSeconds: parseInt(getConfig("autoscale-max-wait") || "30", 10),
+    cooldownSeconds: parseInt(getConfig("autoscale-cooldown") || "60", 10),
+  };
+}
+
+/**
+ * Periodically size `pool` (as returned by startWorkers) between min and max.
+ *
+ * Scales up when more than `autoscale-jobs-per-worker` ready jobs are queued
+ * per worker, or when the oldest ready job has waited longer than
+ * `autoscale-max-wait` seconds. Scales down one idle worker at a time once the
+ * queue has had no ready jobs, and the pool has not been resized, for
+ * `autoscale-cooldown` seconds. Jobs held back by a concurrency or rate limit
+ * do not count as ready (see readyJobStats).
+ *
+ * A worker stopped with `queuectl worker stop` leaves the pool for good: the
+ * manager calls workerStopped() and min and max shrink by one, so the worker
+ * is not replaced on the next tick. Once every worker was stopped, the pool
+ * stays empty.
+ */
+function startAutoscaler(pool, { min = 1, max = 1, queues = [] } = {}) {
+  const metaKey = `${AUTOSCALE_META_PREFIX}${os.hostname()}.${process.pid}`;
+  let lastBusyAt = Date.now();
+  let lastScaleAt = Date.now();
+  let lastDecision = null;
+
+  function publish(stats) {
+    setMeta(
+      metaKey,
+      JSON.stringify({
+        host: os.hostname(),
+        manager_pid: process.pid,
+        queues: queues.length ? queues.join(",") : null,
+        min,
+        max,
+        workers: pool.size(),
+        ready: stats.ready,
+        last_decision: lastDecision,
+        updated_at: new Date().toISOString(),
+      })
+    );
+  }
+
+  function decide(current, stats, settings) {
+    const now = Date.now();
+    const waitSeconds = stats.oldest_run_after
+      ? Math.max(0, (now - new Date(stats.oldest_run_after).getTime()) / 1000)
+      : 0;
+
+    if (stats.ready > 0) lastBusyAt = now;
+
+    if (current < min) return { target: min, reason: `below minimum of ${min}` };
+
+    if (current < max) {
+      if (stats.ready > current * settings.jobsPerWorker) {
+        const target = Math.min(max, Math.max(current + 1, Math.ceil(stats.ready / settings.jobsPerWorker)));
+        return { target, reason: `${stats.ready} ready job(s) for ${current} worker(s)` };
+      }
+      if (waitSeconds > settings.maxWaitSeconds) {
+        return {
+          target: current + 1,
+          reason: `oldest ready job waiting ${Math.round(waitSeconds)}s (> ${settings.maxWaitSeconds}s)`,
+        };
+      }
+    }
+
+    const cooledDown =
+      now - lastBusyAt >= settings.cooldownSeconds * 1000 &&
+      now - lastScaleAt >= settings.cooldownSeconds * 1000;
+    if (current > min && stats.ready === 0 && cooledDown) {
+      return { target: current - 1, reason: `idle for ${settings.cooldownSeconds}s` };
+    }
+
+    return null;
+  }
+
+  // Pick a slot whose worker is not running a job, so retiring it is immediate
+  function idleSlot() {
+    const busyPids = new Set(
+      listWorkers()
+        .filter((w) => w.host === os.hostname() && w.current_job_id)
+        .map((w) => w.pid)
+    );
+    const candidates = [...pool.slots.entries()]
+      .filter(([, slot]) => !slot.retiring && slot.child && !busyPids.has(slot.child.pid))
+      .map(([num]) => num)
+      .sort((a, b) => b - a);
+    return candidates[0];
+  }
+
+  function tick() {
+    if (pool.isShuttingDown()) return;
+    try {
+      const settings = autoscaleSettings();
+      const stats = readyJobStats(queues);
+      const current = pool.size();
+      const decision = decide(current, stats, settings);
+
+      if (decision) {
+        if (decision.target < current) {
+          const num = idleSlot();
+          if (num === undefined) {
+            publish(stats);
+            return;
+          }
+          pool.retire(num);
+        } else {
+          pool.resize(decision.target);
+        }
+        lastScaleAt = Date.now();
+        lastDecision = {
+          from: current,
+          to: decision.target,
+          reason: decision.reason,
+          at: new Date().toISOString(),
+        };
+        console.log(
+          `${decision.target > current ? "📈" : "📉"} Autoscale: ${current} → ${decision.target} worker(s) (${decision.reason})`
+        );
+      }
+      publish(stats);
+    } catch (err) {
+      console.error("Autoscale tick failed:", err.message);
+    }
+  }
+
+  function workerStopped() {
+    min = Math.max(0, min - 1);
+    // Stopping the last worker (e.g. `worker stop --all`) stops scaling too
+    max = pool.size() === 0 ? 0 : Math.max(min, max - 1);
+    console.log(`Autoscale: worker stopped on request; pool now sized between ${min} and ${max}`);
+  }
+
+  const timer = setInterval(tick, autoscaleSettings().intervalSeconds * 1000);
+  tick();
+
+  function stop() {
+    clearInterval(timer);
+    try {
+      deleteMeta(metaKey);
+    } catch (e) {
+      // ignore
+    }
+  }
+
+  return { stop, tick, workerStopped };
+}
+
+module.exports = { AUTOSCALE_META_PREFIX, startAutoscaler };
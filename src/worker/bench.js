@@ -0,0 +1,154 @@
+// src/worker/bench.js
+// `queuectl bench`: enqueue, batch enqueue and claim throughput of N worker
+// processes against a throwaway database. Each phase starts in every process at once
+// (after they have opened the database) and ends when the last one is done.
+// Claimed jobs are completed straight away without running a command, so
+// the numbers measure the storage layer only.
+//
+// Run with a database path, phase and job count, this file is the child.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { fork } = require("child_process");
+const Database = require("better-sqlite3");
+const { v4: uuidv4 } = require("uuid");
+const { migrate } = require("../db/migrate");
+
+// The batch phase uses its own queue, so claim only takes the enqueue phase's jobs
+const PHASES = ["enqueue", "batch", "claim"];
+// Jobs per enqueueBatch call (one transaction each) in the batch phase
+const BATCH_SIZE = 100;
+
+/**
+ * Run every phase with `workers` processes on a new database in the temp
+ * directory (removed afterwards unless `keep`). Returns { dbPath, phases:
+ * { enqueue|batch|claim: { jobs, seconds, perSecond, busy } } }.
+ */
+async function runBench({ jobs = 2000, workers = 4, keep = false } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "queuectl-bench-"));
+  const dbPath = path.join(dir, "bench.sqlite3");
+  const phases = {};
+  try {
+    // Created up front so no phase is timed with the schema migration
+    const db = new Database(dbPath);
+    db.pragma("journal_mode = WAL");
+    migrate(db);
+    db.close();
+
+    for (const phase of PHASES) {
+      // Enqueue work is split evenly; claimers take jobs until none are left
+      const shares = Array.from({ length: workers }, (_, i) =>
+        Math.floor(jobs / workers) + (i < jobs % workers ? 1 : 0)
+      );
+      phases[phase] = await runPhase(dbPath, phase, shares);
+    }
+  } finally {
+    if (!keep) fs.rmSync(dir, { recursive: true, force: true });
+  }
+  return { dbPath, phases };
+}
+
+function runPhase(dbPath, phase, shares) {
+  return new Promise((resolve, reject) => {
+    const children = shares.map((count) =>
+      fork(__filename, [dbPath, phase, String(count)], { stdio: ["ignore", "inherit", "inherit", "ipc"] })
+    );
+    let ready = 0;
+    let startedAt = null;
+    const results = [];
+
+    for (const child of children) {
+      child.on("message", (msg) => {
+        if (msg.ready && ++ready === children.length) {
+          startedAt = process.hrtime.bigint();
+          children.forEach((c) => c.send({ go: true }));
+        } else if (msg.done) {
+          results.push(msg);
+          if (results.length < children.length) return;
+          const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+          const total = results.reduce((sum, r) => sum + r.jobs, 0);
+          resolve({
+            jobs: total,
+            seconds,
+            perSecond: total / seconds,
+            busy: results.reduce((sum, r) => sum + r.busy, 0),
+          });
+        }
+      });
+      child.on("exit", (code) => {
+        if (code !== 0) reject(new Error(`Benchmark ${phase} process exited with code ${code}`));
+      });
+    }
+  });
+}
+
+// Retry an operation that hit SQLITE_BUSY, counting how often that happened
+function withBusyRetry(fn, stats) {
+  for (;;) {
+    try {
+      return fn();
+    } catch (err) {
+      if (err.code !== "SQLITE_BUSY") throw err;
+      stats.busy++;
+    }
+  }
+}
+
+function runChild(dbPath, phase, count) {
+  const { useDatabase, getDb, statement } = require("../db/database");
+  useDatabase(dbPath);
+  getDb();
+  const { insertJob } = require("../storage/jobs");
+  const { enqueueBatch } = require("../storage/batches");
+  const { createJobClaimer, OWNED_BY_WORKER } = require("./worker");
+
+  const stats = { jobs: 0, busy: 0 };
+  const workerId = uuidv4();
+
+  function enqueue() {
+    for (let i = 0; i < count; i++) {
+      withBusyRetry(() => insertJob({ command: "true", queue: "bench" }), stats);
+      stats.jobs++;
+    }
+  }
+
+  function batch() {
+    const line = JSON.stringify({ command: "true", queue: "bench-batch" });
+    for (let done = 0; done < count; done += BATCH_SIZE) {
+      const size = Math.min(BATCH_SIZE, count - done);
+      const result = withBusyRetry(() => enqueueBatch(Array(size).fill(line).join("\n"), { source: "bench" }), stats);
+      if (result.errors.length) throw new Error(`Batch enqueue failed: ${result.errors[0].message}`);
+      stats.jobs += result.inserted;
+    }
+  }
+
+  function claim() {
+    const claimJob = createJobClaimer(getDb(), { workerId, queues: ["bench"] });
+    const complete = statement(
+      `UPDATE jobs SET state='completed', updated_at=@now, lease_expires_at=NULL WHERE ${OWNED_BY_WORKER}`
+    );
+    for (;;) {
+      const now = new Date().toISOString();
+      const { job } = withBusyRetry(() => claimJob(now, new Date(Date.now() + 30000).toISOString()), stats);
+      if (!job) return;
+      withBusyRetry(() => complete.run({ id: job.id, workerId, now: new Date().toISOString() }), stats);
+      stats.jobs++;
+    }
+  }
+
+  process.on("message", (msg) => {
+    if (!msg.go) return;
+    if (phase === "enqueue") enqueue();
+    else if (phase === "batch") batch();
+    else claim();
+    process.send({ done: true, ...stats }, () => process.exit(0));
+  });
+  process.send({ ready: true });
+}
+
+if (require.main === module) {
+  const [dbPath, phase, count] = process.argv.slice(2);
+  runChild(dbPath, phase, parseInt(count, 10));
+}
+
+module.exports = { runBench };
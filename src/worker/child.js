@@ -10,7 +10,8 @@ const { runWorker } = require("./worker");
 
 async function main() {
   try {
-    await runWorker();
+    const queues = (process.env.WORKER_QUEUES || "").split(",").filter(Boolean);
+    await runWorker({ queues });
     // runWorker resolves only when worker exits (gracefully).
     process.exit(0);
   } catch (err) {
@@ -0,0 +1,87 @@
+// src/worker/hooks.js
+// Hook dispatcher: every worker process drains the hook outbox on its own
+// timer, beside the job loop, so a slow or failing hook never holds up jobs.
+const { getConfig } = require("../storage/config");
+const { checkQueueDepths, claimDelivery, finishDelivery } = require("../storage/hooks");
+const { deliverHook } = require("../exec/hooks");
+const { retryDelaySeconds } = require("../utils/retry");
+
+// How often the outbox is checked when it was empty
+const HOOK_POLL_MS = 1000;
+// Queue depths are counted less often: the check takes the write lock
+const DEPTH_CHECK_MS = 10000;
+
+function hookSettings() {
+  return {
+    secret: getConfig("hook-secret") || null,
+    timeoutSeconds: parseFloat(getConfig("hook-timeout") || "10"),
+    maxAttempts: parseInt(getConfig("hook-max-attempts") || "5", 10),
+    backoff: parseFloat(getConfig("hook-backoff-base") || "2"),
+  };
+}
+
+/**
+ * Start delivering hooks through `db` (the worker's connection). Failed
+ * deliveries are retried with exponential backoff (`hook-backoff-base`,
+ * capped at an hour) until `hook-max-attempts`. Returns { stop } where
+ * stop() resolves once an in-flight delivery has finished.
+ */
+function startHookDispatcher(db) {
+  let stopped = false;
+  let timer = null;
+  let running = Promise.resolve();
+  let depthCheckedAt = 0;
+
+  async function drain() {
+    if (Date.now() - depthCheckedAt >= DEPTH_CHECK_MS) {
+      depthCheckedAt = Date.now();
+      checkQueueDepths(db);
+    }
+    const settings = hookSettings();
+    while (!stopped) {
+      // A sender that dies mid-delivery leaves the lock to expire; then it is retried
+      const delivery = claimDelivery(db, new Date().toISOString(), settings.timeoutSeconds + 30);
+      if (!delivery) return;
+
+      let error = null;
+      try {
+        await deliverHook(delivery, settings);
+      } catch (err) {
+        error = err.message || String(err);
+      }
+      let retryAt = null;
+      if (error && delivery.attempts < settings.maxAttempts) {
+        const delay = retryDelaySeconds(
+          { retry_policy: "exponential", backoff: settings.backoff, max_delay: 3600 },
+          delivery.attempts
+        );
+        retryAt = new Date(Date.now() + delay * 1000).toISOString();
+      }
+      const state = finishDelivery(db, delivery.id, { error, retryAt });
+      if (state === "failed") {
+        console.warn(`⚠️ Hook ${delivery.event} → ${delivery.target} failed after ${delivery.attempts} attempt(s): ${error}`);
+      } else if (state === "pending") {
+        console.warn(`⚠️ Hook ${delivery.event} → ${delivery.target} failed (will retry): ${error}`);
+      }
+    }
+  }
+
+  function tick() {
+    running = drain()
+      .catch((err) => console.error("Hook dispatch failed:", err.message))
+      .then(() => {
+        if (!stopped) timer = setTimeout(tick, HOOK_POLL_MS);
+      });
+  }
+  tick();
+
+  return {
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+      return running;
+    },
+  };
+}
+
+module.exports = { startHookDispatcher };
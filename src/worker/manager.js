@@ -1,13 +1,40 @@
 // src/worker/manager.js
 const { fork } = require("child_process");
 const path = require("path");
-
-function startWorkers(count = 1) {
+const { getConfig, invalidateConfig } = require("../storage/config");
+const { databasePath } = require("../db/database");
+const { logDir } = require("../exec/logs");
+const { startAutoscaler } = require("./autoscaler");
+
+// Restart delay doubles with each recent restart of a slot, up to the max
+const RESTART_BASE_DELAY_MS = 1000;
+const RESTART_MAX_DELAY_MS = 30000;
+
+/**
+ * Start and supervise a pool of worker processes.
+ *
+ * Each worker occupies a numbered slot. A worker that exits unexpectedly
+ * (non-zero code or killed by a signal) is respawned with exponential
+ * backoff; more than `maxRestarts` restarts of one slot within
+ * `restartWindowSeconds` is treated as a crash loop and the manager gives up
+ * and exits non-zero. A worker that exits cleanly (e.g. `queuectl worker
+ * stop`) is not replaced.
+ *
+ * The pool can be resized at runtime: on SIGHUP the manager re-reads the
+ * `worker-count` config value. With `autoscale: { min, max }` the pool is
+ * also sized automatically from queue depth (see autoscaler.js).
+ */
+function startWorkers(
+  count = 1,
+  { queues = [], maxRestarts = 5, restartWindowSeconds = 60, autoscale = null } = {}
+) {
   const children = new Map();
+  // workerNum -> { child, restarts: [timestamps], timer, retiring }
+  const slots = new Map();
 
   const childScript = path.resolve(__dirname, "child.js");
 
-  console.log(`Starting ${count} worker process(es)...`);
+  console.log(`Starting ${count} worker process(es)... (manager pid=${process.pid})`);
 
   for (let i = 0; i < count; i++) {
     spawnChild(i + 1);
@@ -16,17 +43,27 @@ function startWorkers(count = 1) {
   function spawnChild(workerNum) {
     const child = fork(childScript, {
       stdio: ["inherit", "inherit", "inherit", "ipc"],
-      env: { ...process.env, WORKER_NUM: `${workerNum}` },
+      // Workers open the manager's database and write to its log directory
+      env: {
+        ...process.env,
+        QUEUECTL_DB: databasePath(),
+        QUEUECTL_LOG_DIR: logDir(),
+        WORKER_NUM: `${workerNum}`,
+        WORKER_QUEUES: queues.join(","),
+      },
     });
 
+    const slot = slots.get(workerNum) || { restarts: [], timer: null, retiring: false };
+    slot.child = child;
+    slots.set(workerNum, slot);
+
     children.set(child.pid, child);
     console.log(`→ Spawned worker #${workerNum} (pid=${child.pid})`);
 
     child.on("exit", (code, signal) => {
       children.delete(child.pid);
       console.log(`← Worker #${workerNum} (pid=${child.pid}) exited (code=${code}, signal=${signal})`);
-      // If parent is still alive and not shutting down, restart child (optional)
-      // For now do not auto-restart; you could choose to restart on non-zero exit.
+      onChildExit(workerNum, child, code, signal);
     });
 
     child.on("error", (err) => {
@@ -34,14 +71,108 @@ function startWorkers(count = 1) {
     });
   }
 
+  function onChildExit(workerNum, child, code, signal) {
+    const slot = slots.get(workerNum);
+    if (shuttingDown || !slot || slot.child !== child) return;
+
+    if (slot.retiring) {
+      slots.delete(workerNum);
+      return;
+    }
+    if (code === 0 && !signal) {
+      // Clean exit (e.g. stop requested) — leave the slot empty, and keep
+      // the autoscaler from refilling it
+      slots.delete(workerNum);
+      if (autoscaler) autoscaler.workerStopped();
+      return;
+    }
+
+    scheduleRestart(workerNum, signal ? `killed by ${signal}` : `exited with code ${code}`);
+  }
+
+  function scheduleRestart(workerNum, reason) {
+    const slot = slots.get(workerNum);
+    const now = Date.now();
+    slot.restarts = slot.restarts.filter((t) => now - t < restartWindowSeconds * 1000);
+
+    if (slot.restarts.length >= maxRestarts) {
+      console.error(
+        `💥 Worker #${workerNum} is crash-looping (${reason}; ${slot.restarts.length} restarts within ${restartWindowSeconds}s) — giving up.`
+      );
+      shutdown(1);
+      return;
+    }
+
+    slot.restarts.push(now);
+    const delayMs = Math.min(
+      RESTART_BASE_DELAY_MS * 2 ** (slot.restarts.length - 1),
+      RESTART_MAX_DELAY_MS
+    );
+    console.log(
+      `↻ Restarting worker #${workerNum} in ${delayMs / 1000}s (${reason}) [restart ${slot.restarts.length}/${maxRestarts} within ${restartWindowSeconds}s]`
+    );
+    slot.timer = setTimeout(() => {
+      slot.timer = null;
+      if (!shuttingDown && slots.get(workerNum) === slot && !slot.retiring) spawnChild(workerNum);
+    }, delayMs);
+  }
+
+  function activeSlots() {
+    return [...slots.entries()].filter(([, slot]) => !slot.retiring);
+  }
+
+  // Ask one worker to finish its current job and exit without being replaced
+  function retire(workerNum) {
+    const slot = slots.get(workerNum);
+    if (!slot || slot.retiring) return;
+    slot.retiring = true;
+    if (slot.timer) {
+      clearTimeout(slot.timer);
+      slots.delete(workerNum);
+    } else {
+      try {
+        slot.child.kill("SIGINT");
+      } catch (e) {
+        // ignore
+      }
+    }
+  }
+
+  // Grow or shrink the pool to `n` workers. Surplus workers (highest slot
+  // numbers first) finish their current job before exiting.
+  function resize(n) {
+    let active = activeSlots();
+
+    for (let num = 1; active.length < n; num++) {
+      if (!slots.has(num)) {
+        spawnChild(num);
+        active = activeSlots();
+      }
+    }
+
+    active
+      .map(([num]) => num)
+      .sort((a, b) => b - a)
+      .slice(0, Math.max(0, active.length - n))
+      .forEach(retire);
+  }
+
+  function size() {
+    return activeSlots().length;
+  }
+
   // Graceful shutdown: forward signals to children and wait for them to exit
   let shuttingDown = false;
-  async function shutdown() {
+  async function shutdown(exitCode = 0) {
     if (shuttingDown) return;
     shuttingDown = true;
+    if (autoscaler) autoscaler.stop();
+    for (const [, slot] of slots) {
+      if (slot.timer) clearTimeout(slot.timer);
+    }
     console.log("\nManager: graceful shutdown requested — forwarding to children...");
     if (children.size === 0) {
-      process.exit(0);
+      process.exit(exitCode);
       return;
     }
 
@@ -72,11 +203,26 @@ function startWorkers(count = 1) {
       }
     }
     console.log("Manager: all children terminated (or timeout). Exiting.");
-    process.exit(0);
+    process.exit(exitCode);
   }
 
-  process.on("SIGINT", shutdown);
-  process.on("SIGTERM", shutdown);
+  process.on("SIGINT", () => shutdown(0));
+  process.on("SIGTERM", () => shutdown(0));
+
+  // Reload the desired pool size from config (`queuectl worker scale`)
+  process.on("SIGHUP", () => {
+    // `worker scale` wrote the new size just before signalling: read it fresh
+    invalidateConfig();
+    const n = parseInt(getConfig("worker-count"), 10);
+    if (!(n >= 0)) {
+      console.log("Manager: SIGHUP received but 'worker-count' is not set — ignoring.");
+      return;
+    }
+    if (!shuttingDown) {
+      console.log(`Manager: resizing pool from ${size()} to ${n} worker(s)`);
+      resize(n);
+    }
+  });
 
   // Also forward uncaught errors
   process.on("uncaughtException", (err) => {
@@ -89,11 +235,20 @@ function startWorkers(count = 1) {
     shutdown();
   });
 
-  // Keep the manager alive
-  return {
+  const pool = {
     shutdown,
+    resize,
+    retire,
+    size,
+    slots,
     children,
+    isShuttingDown: () => shuttingDown,
   };
+
+  const autoscaler = autoscale ? startAutoscaler(pool, { ...autoscale, queues }) : null;
+
+  // Keep the manager alive
+  return pool;
 }
 
 module.exports = { startWorkers };
@@ -0,0 +1,149 @@
+// src/worker/scheduler.js
+const { getDb } = require("../db/database");
+const { insertJob, validateJobInput } = require("../storage/jobs");
+const { parseCron, nextRun, previousRun } = require("../utils/cron");
+
+// Upper bound on jobs enqueued for one schedule in one tick under 'catchup'
+const MAX_CATCHUP_RUNS = 100;
+
+/**
+ * Turn one due schedule into jobs. The slot is claimed with a
+ * compare-and-swap on next_run_at inside the same transaction as the job
+ * inserts, so with several schedulers running (or after a crash) each slot
+ * produces its jobs exactly once. A run whose jobs cannot be enqueued (a
+ * template that no longer validates) still moves the schedule on; its error
+ * is kept in last_error until a run succeeds.
+ * Returns { claimed, enqueued: [jobId], skipped, error }.
+ */
+function fireSchedule(db, schedule, now) {
+  const cron = parseCron(schedule.cron);
+  const due = new Date(schedule.next_run_at);
+
+  // 'catchup' runs every slot missed since the last tick (at most
+  // MAX_CATCHUP_RUNS); 'skip' drops them and only runs the most recent one
+  let runSlots;
+  if (schedule.missed_policy === "catchup") {
+    runSlots = [due];
+    let slot = nextRun(cron, due);
+    while (slot <= now && runSlots.length < MAX_CATCHUP_RUNS) {
+      runSlots.push(slot);
+      slot = nextRun(cron, slot);
+    }
+  } else {
+    runSlots = [previousRun(cron, now)];
+  }
+  const next = nextRun(cron, now);
+
+  const template = JSON.parse(schedule.job_json);
+  const activeStmt = db.prepare(
+    "SELECT 1 FROM jobs WHERE id = ? AND state IN ('pending', 'blocked', 'processing')"
+  );
+
+  return db.transaction(() => {
+    const claim = db
+      .prepare(
+        `UPDATE schedules
+         SET next_run_at=@next_run_at, last_run_at=@last_run_at, updated_at=@now
+         WHERE id=@id AND next_run_at=@expected AND paused=0`
+      )
+      .run({
+        id: schedule.id,
+        expected: schedule.next_run_at,
+        next_run_at: next.toISOString(),
+        last_run_at: runSlots[runSlots.length - 1].toISOString(),
+        now: now.toISOString(),
+      });
+    // Another scheduler got there first
+    if (claim.changes === 0) return { claimed: false, enqueued: [], skipped: 0, error: null };
+
+    let lastJobId = schedule.last_job_id;
+    const enqueued = [];
+    let skipped = 0;
+    let error = null;
+
+    // A savepoint: a failing insert undoes this run's jobs but not the claim
+    try {
+      db.transaction(() => {
+        for (let i = 0; i < runSlots.length; i++) {
+          if (schedule.overlap_policy === "skip" && lastJobId && activeStmt.get(lastJobId)) {
+            skipped++;
+            continue;
+          }
+          // Validated on every run, as an enqueue would be: `delay` counts from
+          // this run and `unique_key` maps to idempotency_key
+          const job = insertJob(validateJobInput({ ...template, id: undefined }));
+          // The template's idempotency_key still maps to an earlier job
+          if (job.duplicate) {
+            skipped++;
+            continue;
+          }
+          lastJobId = job.id;
+          enqueued.push(job.id);
+        }
+      })();
+    } catch (err) {
+      error = err.message;
+      lastJobId = schedule.last_job_id;
+      enqueued.length = 0;
+      skipped = 0;
+    }
+
+    db.prepare("UPDATE schedules SET last_job_id=@last_job_id, last_error=@error WHERE id=@id").run({
+      id: schedule.id,
+      last_job_id: lastJobId,
+      error,
+    });
+
+    return { claimed: true, enqueued, skipped, error };
+  })();
+}
+
+// Fire every active schedule whose next_run_at has passed
+function runSchedulerTick(db, now = new Date()) {
+  const due = db
+    .prepare("SELECT * FROM schedules WHERE paused = 0 AND next_run_at <= ? ORDER BY next_run_at ASC")
+    .all(now.toISOString());
+
+  for (const schedule of due) {
+    try {
+      const { claimed, enqueued, skipped, error } = fireSchedule(db, schedule, now);
+      if (!claimed) continue;
+      if (error) console.error(`Schedule ${schedule.id} could not enqueue its job: ${error}`);
+      for (const jobId of enqueued) {
+        console.log(`⏰ Schedule ${schedule.id} (${schedule.cron}) enqueued job ${jobId}`);
+      }
+      if (skipped > 0) {
+        console.log(
+          `⏭️  Schedule ${schedule.id}: skipped ${skipped} run(s), previous job still active or duplicate idempotency_key`
+        );
+      }
+    } catch (err) {
+      console.error(`Schedule ${schedule.id} failed to fire:`, err.message);
+    }
+  }
+}
+
+async function runScheduler({ intervalSeconds = 5 } = {}) {
+  console.log(`⏰ Scheduler started (pid=${process.pid}, interval=${intervalSeconds}s)...`);
+
+  const db = getDb();
+  let running = true;
+
+  process.on("SIGINT", () => {
+    console.log("\n🛑 Graceful shutdown requested...");
+    running = false;
+  });
+  process.on("SIGTERM", () => {
+    console.log("\n🛑 Graceful shutdown requested...");
+    running = false;
+  });
+
+  while (running) {
+    runSchedulerTick(db);
+    await new Promise((r) => setTimeout(r, intervalSeconds * 1000));
+  }
+
+  console.log("👋 Scheduler stopped gracefully.");
+}
+
+module.exports = { runScheduler, runSchedulerTick, fireSchedule };
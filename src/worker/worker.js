@@ -1,180 +1,545 @@
 // src/worker/worker.js
-const { init } = require("../db/database");
+const { getDb, statement } = require("../db/database");
 const { runCommand } = require("../exec/runner");
-const { getConfig } = require("../storage/config");
+const { runHandler } = require("../exec/handler");
+const { getConfig, QUEUE_CONCURRENCY_PREFIX, CONCURRENCY_LIMIT_PREFIX } = require("../storage/config");
+const { rateBuckets, secondsUntilToken, takeTokens } = require("../storage/limits");
+const { recordAttempt } = require("../storage/attempts");
+const { countRun } = require("../storage/metrics");
+const { emitRunEvents } = require("../storage/hooks");
+const { startHookDispatcher } = require("./hooks");
+const { runScheduledRetention } = require("../storage/retention");
+const { formatBytes } = require("../utils/units");
+const { retryDelaySeconds, nonRetryableReason } = require("../utils/retry");
+const {
+  effectiveJobOptions,
+  releaseDependents,
+  cascadeDeadDependents,
+  cascadeCancelledDependents,
+  reapExpiredLeases,
+} = require("../storage/jobs");
+const {
+  heartbeatIntervalSeconds,
+  registerWorker,
+  heartbeatWorker,
+  setWorkerJob,
+  recordWorkerResult,
+  markWorkerStopped,
+  markLostWorkers,
+} = require("../storage/workers");
 
-async function runWorker() {
-  console.log(`👷 Worker started (pid=${process.pid})...`);
+// Final state updates only apply while this worker still holds the job's
+// lease; if the reaper reclaimed it, the job belongs to someone else now.
+const OWNED_BY_WORKER = "id = @id AND worker_id = @workerId AND state = 'processing'";
 
-  const db = init();
-  let running = true;
+// How often a running job is checked for a cancel request
+const CANCEL_POLL_MS = 1000;
+// How often automatic retention checks whether it is due (`retention-interval`)
+const RETENTION_CHECK_MS = 60 * 1000;
 
-  // Graceful shutdown flag
-  process.on("SIGINT", () => {
-    console.log("\n🛑 Graceful shutdown requested...");
-    running = false;
+/**
+ * Build the claim function of a worker: claim(now, lease) takes one pending
+ * job atomically and sets worker_id. Skipped:
+ *  - queues that already have their configured number of jobs processing
+ *  - jobs whose concurrency_key is at its `concurrency-limit.<key>`
+ *  - jobs whose queue or concurrency_key has an empty rate-limit bucket
+ * Handler jobs are only claimed when `handlers` (a Map of name → function,
+ * which may grow while the worker runs) has their handler.
+ * The buckets are read, checked and debited in the same IMMEDIATE
+ * transaction as the claim, so concurrent workers never overspend them.
+ * Returns { job, waitMs } where waitMs is how soon a rate-limited job could
+ * become claimable (null if none is waiting on a bucket).
+ */
+function createJobClaimer(db, { workerId, queues = [], handlers = null }) {
+  const queueParams = Object.fromEntries(queues.map((q, i) => [`queue${i}`, q]));
+  const queueFilter = queues.length
+    ? `AND queue IN (${Object.keys(queueParams).map((k) => `@${k}`).join(", ")})`
+    : "";
+
+  const claim = db.transaction((now, lease) => {
+    const nowMs = Date.now();
+    const buckets = rateBuckets(db, nowMs);
+    const empty = buckets.filter((b) => b.tokens < 1);
+    const limitParams = {};
+    const placeholders = (scope) =>
+      empty
+        .filter((b) => b.scope === scope)
+        .map((b, i) => {
+          limitParams[`limited_${scope}${i}`] = b.name;
+          return `@limited_${scope}${i}`;
+        });
+    const emptyKeys = placeholders("key");
+    const emptyQueues = placeholders("queue");
+    const handlerNames = handlers ? [...handlers.keys()] : [];
+    const handlerParams = Object.fromEntries(handlerNames.map((h, i) => [`handler${i}`, h]));
+    const handlerFilter = handlerNames.length
+      ? `AND (handler IS NULL OR handler IN (${Object.keys(handlerParams).map((k) => `@${k}`).join(", ")}))`
+      : "AND handler IS NULL";
+
+    // The SQL only varies with the empty buckets and the number of handlers,
+    // so few variants get cached
+    const job = statement(`
+      UPDATE jobs
+      SET state='processing',
+          attempts = attempts + 1,
+          worker_id = @workerId,
+          lease_expires_at = @lease,
+          updated_at = @now
+      WHERE id = (
+        SELECT id FROM jobs
+WHERE state='pending' AND run_after <= @now
+  ${queueFilter}
+  ${handlerFilter}
+  ${emptyQueues.length ? `AND queue NOT IN (${emptyQueues.join(", ")})` : ""}
+  ${emptyKeys.length ? `AND (concurrency_key IS NULL OR concurrency_key NOT IN (${emptyKeys.join(", ")}))` : ""}
+  AND NOT EXISTS (
+    SELECT 1 FROM config c
+    WHERE c.key = '${QUEUE_CONCURRENCY_PREFIX}' || jobs.queue
+      AND (SELECT COUNT(*) FROM jobs r WHERE r.state='processing' AND r.queue = jobs.queue)
+          >= CAST(c.value AS INTEGER)
+  )
+  AND NOT EXISTS (
+    SELECT 1 FROM config c
+    WHERE jobs.concurrency_key IS NOT NULL
+      AND c.key = '${CONCURRENCY_LIMIT_PREFIX}' || jobs.concurrency_key
+      AND (SELECT COUNT(*) FROM jobs r WHERE r.state='processing' AND r.concurrency_key = jobs.concurrency_key)
+          >= CAST(c.value AS INTEGER)
+  )
+  AND NOT EXISTS (
+    SELECT 1 FROM job_dependencies d
+    JOIN jobs p ON p.id = d.depends_on
+    WHERE d.job_id = jobs.id AND p.state != 'completed'
+  )
+ORDER BY priority DESC, created_at ASC
+LIMIT 1
+
+      )
+      RETURNING *;
+    `).get({ now, lease, workerId, ...queueParams, ...handlerParams, ...limitParams });
+
+    if (job) takeTokens(db, buckets, job, nowMs);
+    const waitMs = empty.length ? Math.min(...empty.map((b) => secondsUntilToken(b) * 1000)) : null;
+    return { job, waitMs };
   });
-  process.on("SIGTERM", () => {
-    console.log("\n🛑 Graceful shutdown requested...");
-    running = false;
+
+  return (now, lease) => claim.immediate(now, lease);
+}
+
+// Wait `ms`, or less when `signal` aborts first
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    if (signal && signal.aborted) return resolve();
+    const done = () => {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener("abort", done);
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    if (signal) signal.addEventListener("abort", done, { once: true });
   });
+}
 
+/**
+ * Start the duties every worker shares besides running jobs: the reaper
+ * (lost workers flagged, jobs with an expired lease back to the queue),
+ * hook delivery from the outbox and automatic retention. Returns { stop }
+ * where stop() resolves once an in-flight hook delivery has finished.
+ */
+function startMaintenance(db, { logger = console } = {}) {
   // ----------------------------
-  // Recovery: reset stale 'processing' jobs
+  // Recovery: flag workers that stopped heartbeating as lost and return jobs
+  // whose lease expired (their worker died) to the queue
   // ----------------------------
-  try {
-    // threshold in minutes
-    const thresholdMinutes = parseInt(getConfig("stuck-job-threshold") || "10", 10);
-    const cutoffTime = new Date(Date.now() - thresholdMinutes * 60 * 1000).toISOString();
-    const now = new Date().toISOString();
+  function reap() {
+    try {
+      markLostWorkers();
+      const { requeued, dead, cancelled } = reapExpiredLeases(db, new Date().toISOString());
+      if (requeued > 0) {
+        logger.log(`♻️  Reaper: returned ${requeued} job(s) with an expired lease to 'pending'`);
+      }
+      if (dead > 0) {
+        logger.log(`💀 Reaper: moved ${dead} job(s) with an expired lease to DLQ (worker lost)`);
+      }
+      if (cancelled > 0) {
+        logger.log(`🚫 Reaper: cancelled ${cancelled} job(s) whose worker was lost`);
+      }
+    } catch (err) {
+      logger.error("Reaper failed:", err);
+    }
+  }
+  reap();
+  const reaper = setInterval(reap, heartbeatIntervalSeconds() * 1000);
 
-    const info = db
-      .prepare(
-        `UPDATE jobs
-         SET state='pending',
-             run_after=@now,
-             updated_at=@now,
-             worker_id = NULL
-         WHERE state='processing' AND updated_at <= @cutoff`
-      )
-      .run({ now, cutoff: cutoffTime });
+  // Hook notifications queued by job state changes are sent from here
+  const hooks = startHookDispatcher(db);
+
+  // Automatic retention (`retention-*` config); one worker runs it per interval
+  function retain() {
+    try {
+      const report = runScheduledRetention();
+      if (!report) return;
+      const jobs = Object.values(report.jobs).reduce((a, b) => a + b, 0);
+      if (jobs > 0) {
+        logger.log(
+          `🧹 Retention: deleted ${jobs} job(s) and ${report.logFiles} log file(s), database ${formatBytes(
+            report.dbBytesBefore
+          )} → ${formatBytes(report.dbBytesAfter)}`
+        );
+      }
+    } catch (err) {
+      logger.error("Retention failed:", err.message);
+    }
+  }
+  retain();
+  const retention = setInterval(retain, RETENTION_CHECK_MS);
+
+  return {
+    stop() {
+      clearInterval(reaper);
+      clearInterval(retention);
+      return hooks.stop();
+    },
+  };
+}
+
+/**
+ * Run the worker loop. `queues` restricts claiming to the named queues
+ * (all queues when empty). `handlers` (a Map of name → async function) lets
+ * the worker run handler jobs as well as shell commands (see
+ * exec/handler.js). By default the worker stops on SIGINT/SIGTERM; when
+ * embedded, pass `signal` (an AbortSignal) instead and it stops once the
+ * current job is done. With `maintenance: false` the worker only runs jobs
+ * and leaves startMaintenance() to someone else. Progress is reported
+ * through `logger`.
+ */
+async function runWorker({
+  queues = [],
+  handlers = null,
+  signal = null,
+  logger = console,
+  maintenance: withMaintenance = true,
+} = {}) {
+  const db = getDb();
+  let running = true;
 
-    if (info.changes > 0) {
-      console.log(`♻️  Recovery: reset ${info.changes} stuck 'processing' job(s) to 'pending'`);
+  const worker = registerWorker({ queues });
+  const workerId = worker.id;
+  logger.log(
+    `👷 Worker ${workerId} started (pid=${process.pid})${
+      queues.length ? ` on queue(s): ${queues.join(", ")}` : ""
+    }...`
+  );
+
+  // Heartbeat: keeps this worker visible in `worker list` and picks up
+  // `worker stop` requests.
+  const heartbeat = setInterval(() => {
+    try {
+      if (heartbeatWorker(workerId) && running) {
+        logger.log("\n🛑 Stop requested via `queuectl worker stop`...");
+        running = false;
+      }
+    } catch (err) {
+      logger.error("Heartbeat failed:", err.message);
     }
-  } catch (err) {
-    console.error("Recovery step failed:", err);
+  }, heartbeatIntervalSeconds() * 1000);
+
+  // Graceful shutdown flag
+  const shutdown = () => {
+    logger.log("\n🛑 Graceful shutdown requested...");
+    running = false;
+  };
+  if (signal) {
+    if (signal.aborted) running = false;
+    else signal.addEventListener("abort", shutdown, { once: true });
+  } else {
+    process.on("SIGINT", shutdown);
+    process.on("SIGTERM", shutdown);
   }
 
+  // Reaper, hook delivery and retention, unless the embedder runs them itself
+  const maintenance = withMaintenance ? startMaintenance(db, { logger }) : null;
+
+  // Leases are renewed every third of their duration while the job runs
+  const leaseSeconds = parseInt(getConfig("lease-duration") || "30", 10);
+  const renewStmt = statement(
+    `UPDATE jobs SET lease_expires_at=@lease
+     WHERE id=@id AND worker_id=@workerId AND state='processing'`
+  );
+  const cancelStmt = statement("SELECT cancel_requested FROM jobs WHERE id = ?");
+
+  // Characters of stdout/stderr kept in the database per run (full output is in logs/)
+  const outputLimit = parseInt(getConfig("output-tail-size") || "4096", 10);
+
   // ----------------------------
   // Main worker loop
   // ----------------------------
+  const claimJob = createJobClaimer(db, { workerId, queues, handlers });
+
   while (running) {
     const now = new Date().toISOString();
+    const lease = new Date(Date.now() + leaseSeconds * 1000).toISOString();
 
-    // Claim one pending job atomically and set worker_id
-    const claimStmt = db.prepare(`
-      UPDATE jobs
-      SET state='processing',
-          attempts = attempts + 1,
-          worker_id = @pid,
-          updated_at = @now
-      WHERE id = (
-        SELECT id FROM jobs
-WHERE state='pending' AND run_after <= @now
-ORDER BY priority DESC, created_at ASC
-LIMIT 1
-
-      )
-      RETURNING *;
-    `);
-
-    const job = claimStmt.get({ now, pid: String(process.pid) });
+    const { job, waitMs } = claimJob(now, lease);
 
     if (!job) {
-      // No job ready → sleep
-      await new Promise((r) => setTimeout(r, 2000));
+      // No job ready → sleep (less when a rate-limit bucket refills sooner)
+      await sleep(waitMs === null ? 2000 : Math.min(2000, Math.max(50, waitMs)), signal);
       continue;
     }
 
-    console.log(`🚀 Processing job: ${job.id} (${job.command}) [attempt ${job.attempts + 0}]`);
+    logger.log(
+      `🚀 Processing job: ${job.id} (${job.command}) [queue ${job.queue}, attempt ${job.attempts}]`
+    );
+    setWorkerJob(workerId, job.id);
+
+    // Per-job timeout/retries/backoff/cwd/env, falling back to config
+    const options = effectiveJobOptions(job);
 
-    // Read runtime config values
-    const globalMaxRetries = parseInt(getConfig("max-retries") || "3", 10);
-    const base = parseInt(getConfig("backoff-base") || "2", 10);
-    const jobTimeoutSec = parseInt(getConfig("job-timeout") || "60", 10); // seconds
+    const renewal = setInterval(() => {
+      try {
+        const lease = new Date(Date.now() + leaseSeconds * 1000).toISOString();
+        if (renewStmt.run({ id: job.id, workerId, lease }).changes === 0) {
+          logger.warn(`⚠️ Lost the lease on job ${job.id}; its result will be discarded`);
+        }
+      } catch (err) {
+        logger.error("Lease renewal failed:", err.message);
+      }
+    }, (leaseSeconds * 1000) / 3);
+
+    // `queuectl cancel` sets cancel_requested; abort the command when it does
+    const abort = new AbortController();
+    const cancelWatch = setInterval(() => {
+      try {
+        const row = cancelStmt.get(job.id);
+        if (row && row.cancel_requested && !abort.signal.aborted) {
+          logger.log(`🛑 Cancelling job ${job.id}...`);
+          abort.abort();
+        }
+      } catch (err) {
+        logger.error("Cancel check failed:", err.message);
+      }
+    }, CANCEL_POLL_MS);
 
-    // Execute the command with timeout
+    // Execute the command (or the handler) with timeout
+    const startedAt = new Date();
     let result;
     try {
-      result = await runCommand(job, jobTimeoutSec);
+      result = job.handler
+        ? await runHandler(job, handlers && handlers.get(job.handler), options.timeout, {
+            signal: abort.signal,
+            outputLimit,
+          })
+        : await runCommand(job, options.timeout, {
+            signal: abort.signal,
+            cwd: options.cwd,
+            env: options.env,
+            outputLimit,
+          });
     } catch (err) {
       // unexpected runner error
-      result = { code: 1, stdout: "", stderr: String(err), timedOut: false };
+      result = { code: 1, signal: null, stdout: "", stderr: String(err), timedOut: false, cancelled: false };
+    } finally {
+      clearInterval(renewal);
+      clearInterval(cancelWatch);
     }
 
     const updated_at = new Date().toISOString();
+    const duration = (Date.now() - startedAt.getTime()) / 1000;
+    const succeeded = result.code === 0 && !result.timedOut && !result.cancelled;
+    const cancelRequested = result.cancelled || Boolean((cancelStmt.get(job.id) || {}).cancel_requested);
+    recordWorkerResult(workerId, !succeeded && !cancelRequested);
 
-    // Normalize attempts (since we incremented attempts in claim SQL, job.attempts already incremented in returned job only in DB)
-    // Note: the returned `job.attempts` may be the value *before* increment depending on SQLite version - but we incremented in SQL, so use DB to fetch updated attempts if necessary.
-    // For safety, let's read current attempts from DB:
-    const fresh = db.prepare("SELECT attempts, max_retries FROM jobs WHERE id = ?").get(job.id);
-    const attempts = fresh ? fresh.attempts : job.attempts;
-    const maxRetries = job.max_retries || globalMaxRetries;
+    // The claim counted this run (RETURNING gives the row after the update)
+    const attempts = job.attempts;
+    const maxRetries = options.max_retries;
 
-    // Successful execution
-    if (result.code === 0 && !result.timedOut) {
-      db.prepare(
-        `UPDATE jobs
-         SET state='completed',
-             updated_at = @updated_at,
-             stdout = @stdout,
-             stderr = @stderr
-         WHERE id = @id`
-      ).run({
-        id: job.id,
-        updated_at,
-        stdout: result.stdout,
-        stderr: result.stderr,
-      });
-      console.log(`✅ Job completed: ${job.id}`);
-    } else {
-      // Build last_error message
-      let lastError = result.stderr || `exit_code=${result.code}`;
+    // Build last_error message for a failed run
+    let lastError = null;
+    if (!succeeded && !cancelRequested) {
+      lastError = result.stderr || `exit_code=${result.code}`;
       if (result.timedOut) {
-        lastError = `timed out after ${jobTimeoutSec}s`;
+        lastError = `timed out after ${options.timeout}s`;
       }
+    }
 
-      if (attempts < maxRetries) {
-        const delaySeconds = Math.pow(base, attempts); // attempts already incremented in DB
-        const run_after = new Date(Date.now() + delaySeconds * 1000).toISOString();
+    // Apply the final state update, record the attempt, count the run for
+    // /metrics and queue its hook events in one transaction.
+    // `apply` returns null when this worker no longer owns the job (the reaper
+    // reclaimed it); the attempt is then recorded as discarded.
+    const finish = (outcome, apply) =>
+      db.transaction(() => {
+        const applied = apply();
+        recordAttempt(db, {
+          job_id: job.id,
+          attempt: attempts,
+          worker_id: workerId,
+          started_at: startedAt.toISOString(),
+          finished_at: updated_at,
+          duration,
+          exit_code: result.code,
+          signal: result.signal,
+          timed_out: result.timedOut,
+          cancelled: result.cancelled,
+          outcome: applied === null ? "discarded" : outcome,
+          error: cancelRequested ? "cancelled by user" : lastError,
+          stdout: result.stdout,
+          stderr: result.stderr,
+        });
+        if (applied !== null) {
+          countRun(db, job.queue, outcome, duration);
+          emitRunEvents(db, job.id, outcome, updated_at);
+        }
+        return applied;
+      })();
 
-        db.prepare(
+    // Successful execution
+    if (succeeded) {
+      const released = finish("completed", () => {
+        const info = statement(
           `UPDATE jobs
-           SET state='pending',
-               run_after=@run_after,
-               updated_at=@updated_at,
-               last_error=@last_error,
-               stdout=@stdout,
-               stderr=@stderr,
-               worker_id = NULL
-           WHERE id=@id`
+           SET state='completed',
+               updated_at = @updated_at,
+               stdout = @stdout,
+               stderr = @stderr,
+               duration = @duration,
+               result = @result,
+               lease_expires_at = NULL
+           WHERE ${OWNED_BY_WORKER}`
         ).run({
           id: job.id,
-          run_after,
+          workerId,
           updated_at,
-          last_error,
           stdout: result.stdout,
           stderr: result.stderr,
+          duration,
+          result: result.result ?? null,
         });
-
-        console.log(`⚠️ Job failed (will retry in ${delaySeconds}s): ${job.id}`);
-      } else {
-        // Move to DLQ (dead)
-        db.prepare(
+        if (info.changes === 0) return null;
+        return releaseDependents(db, job.id, updated_at);
+      });
+      if (released === null) {
+        logger.warn(`⚠️ Lease on job ${job.id} expired before it finished; result discarded`);
+        continue;
+      }
+      logger.log(`✅ Job completed: ${job.id}`);
+      if (released > 0) logger.log(`🔓 Released ${released} dependent job(s) of ${job.id}`);
+    } else if (cancelRequested) {
+      // Cancelled: never retried and never sent to the DLQ
+      const cascaded = finish("cancelled", () => {
+        const info = statement(
           `UPDATE jobs
-           SET state='dead',
+           SET state='cancelled',
                updated_at=@updated_at,
-               last_error=@last_error,
+               last_error='cancelled by user',
                stdout=@stdout,
                stderr=@stderr,
-               worker_id = NULL
-           WHERE id=@id`
+               duration=@duration,
+               worker_id = NULL,
+               lease_expires_at = NULL
+           WHERE ${OWNED_BY_WORKER}`
         ).run({
           id: job.id,
+          workerId,
           updated_at,
-          last_error,
           stdout: result.stdout,
           stderr: result.stderr,
+          duration,
+        });
+        if (info.changes === 0) return null;
+        return cascadeCancelledDependents(db, job.id, updated_at);
+      });
+      if (cascaded === null) {
+        logger.warn(`⚠️ Lease on job ${job.id} expired before it finished; result discarded`);
+        continue;
+      }
+      logger.log(`🚫 Job cancelled: ${job.id}`);
+      if (cascaded > 0) logger.log(`🚫 ${cascaded} dependent job(s) cancelled with ${job.id}`);
+    } else {
+      // Exit codes and timeouts the job's retry policy never retries go straight to the DLQ
+      const noRetry = nonRetryableReason(options, result);
+
+      if (attempts < maxRetries && !noRetry) {
+        const delaySeconds = retryDelaySeconds(options, attempts); // attempts already incremented in DB
+        const run_after = new Date(Date.now() + delaySeconds * 1000).toISOString();
+
+        const requeued = finish("retry", () => {
+          const info = statement(
+            `UPDATE jobs
+             SET state='pending',
+                 run_after=@run_after,
+                 updated_at=@updated_at,
+                 last_error=@last_error,
+                 stdout=@stdout,
+                 stderr=@stderr,
+                 duration=@duration,
+                 worker_id = NULL,
+                 lease_expires_at = NULL
+             WHERE ${OWNED_BY_WORKER}`
+          ).run({
+            id: job.id,
+            workerId,
+            run_after,
+            updated_at,
+            last_error: lastError,
+            stdout: result.stdout,
+            stderr: result.stderr,
+            duration,
+          });
+          return info.changes === 0 ? null : true;
+        });
+
+        if (requeued === null) {
+          logger.warn(`⚠️ Lease on job ${job.id} expired before it finished; result discarded`);
+          continue;
+        }
+        logger.log(`⚠️ Job failed (will retry in ${delaySeconds}s): ${job.id}`);
+      } else {
+        // Move to DLQ (dead), taking every job that depends on it along
+        const cascaded = finish("dead", () => {
+          const info = statement(
+            `UPDATE jobs
+             SET state='dead',
+                 updated_at=@updated_at,
+                 last_error=@last_error,
+                 stdout=@stdout,
+                 stderr=@stderr,
+                 duration=@duration,
+                 worker_id = NULL,
+                 lease_expires_at = NULL
+             WHERE ${OWNED_BY_WORKER}`
+          ).run({
+            id: job.id,
+            workerId,
+            updated_at,
+            last_error: lastError,
+            stdout: result.stdout,
+            stderr: result.stderr,
+            duration,
+          });
+          if (info.changes === 0) return null;
+          return cascadeDeadDependents(db, job.id, updated_at);
         });
 
-        console.log(`💀 Job moved to DLQ: ${job.id}`);
+        if (cascaded === null) {
+          logger.warn(`⚠️ Lease on job ${job.id} expired before it finished; result discarded`);
+          continue;
+        }
+        logger.log(`💀 Job moved to DLQ: ${job.id}${noRetry ? ` (${noRetry})` : ""}`);
+        if (cascaded > 0) logger.log(`💀 ${cascaded} dependent job(s) moved to DLQ with ${job.id}`);
       }
     }
   } // end while
 
-  db.close();
-  console.log("👋 Worker stopped gracefully.");
+  if (signal) {
+    signal.removeEventListener("abort", shutdown);
+  } else {
+    process.off("SIGINT", shutdown);
+    process.off("SIGTERM", shutdown);
+  }
+  clearInterval(heartbeat);
+  if (maintenance) await maintenance.stop();
+  markWorkerStopped(workerId);
+  logger.log("👋 Worker stopped gracefully.");
 }
 
-module.exports = { runWorker };
+module.exports = { runWorker, startMaintenance, createJobClaimer, OWNED_BY_WORKER };
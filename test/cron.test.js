@@ -0,0 +1,51 @@
+const test = require("node:test");
+const assert = require("assert/strict");
+const { parseCron, nextRun, previousRun } = require("../src/utils/cron");
+
+// Local time, as cron evaluates it
+const at = (y, mo, d, h = 0, mi = 0) => new Date(y, mo - 1, d, h, mi);
+
+test("fields parse to the values they cover", () => {
+  const cron = parseCron("*/15 9-17 1,15 jan-mar mon-fri");
+  assert.deepEqual([...cron.minute], [0, 15, 30, 45]);
+  assert.deepEqual([...cron.hour], [9, 10, 11, 12, 13, 14, 15, 16, 17]);
+  assert.deepEqual([...cron.dayOfMonth], [1, 15]);
+  assert.deepEqual([...cron.month], [1, 2, 3]);
+  assert.deepEqual([...cron.dayOfWeek], [1, 2, 3, 4, 5]);
+  assert.equal(cron.anyDayOfMonth, false);
+
+  assert.ok(parseCron("0 0 * * 7").dayOfWeek.has(0), "7 is Sunday too");
+  assert.deepEqual(parseCron("@daily"), parseCron("0 0 * * *"));
+  assert.deepEqual([...parseCron("5/20 * * * *").minute], [5, 25, 45]);
+});
+
+test("invalid expressions are rejected", () => {
+  assert.throws(() => parseCron("* * * *"), /5 fields/);
+  assert.throws(() => parseCron("60 * * * *"), /minute value out of range/);
+  assert.throws(() => parseCron("* * * foo *"), /Invalid month value/);
+  assert.throws(() => parseCron("*/0 * * * *"), /Invalid step/);
+  assert.throws(() => parseCron("5-1 * * * *"), /Invalid range/);
+  assert.throws(() => nextRun("0 0 30 2 *", at(2026, 1, 1)), /never matches/);
+});
+
+test("nextRun returns the first match strictly after the given time", () => {
+  assert.deepEqual(nextRun("*/15 * * * *", at(2026, 3, 10, 9, 15)), at(2026, 3, 10, 9, 30));
+  assert.deepEqual(nextRun("0 9 * * mon", at(2026, 3, 10, 9, 0)), at(2026, 3, 16, 9, 0));
+  assert.deepEqual(nextRun("@monthly", at(2026, 12, 31, 23, 59)), at(2027, 1, 1));
+  assert.deepEqual(nextRun("0 0 29 2 *", at(2026, 3, 1)), at(2028, 2, 29));
+});
+
+test("day of month and day of week match either one when both are set", () => {
+  // The 13th, or any Friday
+  assert.deepEqual(nextRun("0 0 13 * fri", at(2026, 3, 1)), at(2026, 3, 6));
+  assert.deepEqual(nextRun("0 0 13 * fri", at(2026, 3, 6)), at(2026, 3, 13));
+});
+
+test("previousRun returns the last match at or before the given time", () => {
+  assert.deepEqual(previousRun("*/15 * * * *", at(2026, 3, 10, 9, 15)), at(2026, 3, 10, 9, 15));
+  assert.deepEqual(previousRun("*/15 * * * *", at(2026, 3, 10, 9, 14)), at(2026, 3, 10, 9, 0));
+  assert.deepEqual(previousRun("0 9 * * mon", at(2026, 3, 10, 8, 0)), at(2026, 3, 9, 9, 0));
+  assert.deepEqual(previousRun("30 23 1 * *", at(2026, 3, 10)), at(2026, 3, 1, 23, 30));
+  assert.deepEqual(previousRun("@yearly", at(2026, 1, 1, 0, 0)), at(2026, 1, 1));
+  assert.deepEqual(previousRun("0 12 * feb *", at(2026, 1, 15)), at(2025, 2, 28, 12, 0));
+});
@@ -0,0 +1,104 @@
+const test = require("node:test");
+const assert = require("assert/strict");
+const { useTempInstance } = require("./helpers");
+
+useTempInstance();
+const { getDb } = require("../src/db/database");
+const {
+  insertJob,
+  getJob,
+  cancelJob,
+  retryDeadJob,
+  releaseDependents,
+  cascadeDeadDependents,
+} = require("../src/storage/jobs");
+const { ConflictError } = require("../src/utils/errors");
+
+let n = 0;
+function job(fields = {}) {
+  return insertJob({ command: "true", id: `job-${++n}`, ...fields });
+}
+
+function setState(id, state) {
+  getDb().prepare("UPDATE jobs SET state = ? WHERE id = ?").run(state, id);
+}
+
+test("a child waits while its parent has not completed", () => {
+  const parent = job();
+  const child = job({ depends_on: [parent.id] });
+  assert.equal(child.state, "blocked");
+
+  setState(parent.id, "completed");
+  releaseDependents(getDb(), parent.id, new Date().toISOString());
+  assert.equal(getJob(child.id).state, "pending");
+});
+
+test("a child of a completed parent is pending at once", () => {
+  const parent = job();
+  setState(parent.id, "completed");
+  assert.equal(job({ depends_on: [parent.id] }).state, "pending");
+});
+
+test("a child of a dead or cancelled parent ends with it", () => {
+  const dead = job();
+  setState(dead.id, "dead");
+  const cancelled = job();
+  cancelJob(cancelled.id);
+
+  const a = job({ depends_on: [dead.id] });
+  assert.equal(a.state, "dead");
+  assert.equal(a.last_error, `dependency failed: ${dead.id}`);
+
+  const b = job({ depends_on: [cancelled.id] });
+  assert.equal(b.state, "cancelled");
+  assert.equal(b.last_error, `dependency cancelled: ${cancelled.id}`);
+
+  // Whichever ended parent comes first decides
+  const pending = job();
+  assert.equal(job({ depends_on: [pending.id, cancelled.id, dead.id] }).state, "cancelled");
+});
+
+test("cancelling a job cancels everything downstream", () => {
+  const root = job();
+  const child = job({ depends_on: [root.id] });
+  const grandchild = job({ depends_on: [child.id] });
+  cancelJob(root.id);
+  assert.equal(getJob(child.id).state, "cancelled");
+  assert.equal(getJob(grandchild.id).state, "cancelled");
+});
+
+test("retrying a dead parent revives the jobs it took down; retrying them first is refused", () => {
+  const root = job();
+  const child = job({ depends_on: [root.id] });
+  const grandchild = job({ depends_on: [child.id] });
+  setState(root.id, "dead");
+  cascadeDeadDependents(getDb(), root.id, new Date().toISOString());
+  assert.equal(getJob(child.id).state, "dead");
+  assert.equal(getJob(grandchild.id).state, "dead");
+
+  assert.throws(() => retryDeadJob(child.id), (err) => err instanceof ConflictError && err.message.includes(root.id));
+  assert.equal(getJob(child.id).state, "dead");
+
+  assert.equal(retryDeadJob(root.id), true);
+  assert.equal(getJob(root.id).state, "pending");
+  assert.equal(getJob(child.id).state, "blocked");
+  assert.equal(getJob(grandchild.id).state, "blocked");
+});
+
+test("jobs sent to the DLQ with their parent are counted and fire job.dead", () => {
+  const db = getDb();
+  const deadCount = () => db.prepare("SELECT COALESCE(SUM(value), 0) FROM metric_counters WHERE name = 'dead'").pluck().get();
+  const deliveries = (id) => db.prepare("SELECT target FROM hook_deliveries WHERE event = 'job.dead' AND job_id = ?").pluck().all(id);
+
+  const root = job();
+  const child = job({ depends_on: [root.id], on_dead: "cat" });
+  const before = deadCount();
+  setState(root.id, "dead");
+  cascadeDeadDependents(db, root.id, new Date().toISOString());
+  const late = job({ depends_on: [root.id], on_dead: "cat" });
+
+  assert.equal(late.state, "dead");
+  assert.equal(deadCount() - before, 2);
+  assert.deepEqual(deliveries(child.id), ["cat"]);
+  assert.deepEqual(deliveries(late.id), ["cat"]);
+});
@@ -0,0 +1,20 @@
+// test/helpers.js
+// node --test runs every file in a process of its own; useTempInstance()
+// points that process at a throwaway instance in the temp directory.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { after } = require("node:test");
+const { selectInstance } = require("../src/utils/instance");
+
+function useTempInstance() {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), "queuectl-test-"));
+  selectInstance({ dataDir: home });
+  after(() => {
+    require("../src/db/database").closeDb();
+    fs.rmSync(home, { recursive: true, force: true });
+  });
+  return home;
+}
+
+module.exports = { useTempInstance };
@@ -0,0 +1,66 @@
+const test = require("node:test");
+const assert = require("assert/strict");
+const { useTempInstance } = require("./helpers");
+
+useTempInstance();
+const { getDb } = require("../src/db/database");
+const { LATEST_VERSION, schemaVersion, migrate, rollback, migrationStatus } = require("../src/db/migrate");
+const { insertJob } = require("../src/storage/jobs");
+
+// The schema as SQL text, to compare a round trip with the original
+function schema(db) {
+  return db
+    .prepare("SELECT type, name, sql FROM sqlite_master WHERE name NOT LIKE 'sqlite_%' ORDER BY type, name")
+    .all();
+}
+
+test("every migration after the first can be undone and applied again", () => {
+  const db = getDb();
+  const original = schema(db);
+  assert.equal(schemaVersion(db), LATEST_VERSION);
+
+  for (let version = LATEST_VERSION; version > 1; version--) {
+    assert.deepEqual(
+      rollback(db).map((m) => m.version),
+      [version]
+    );
+    assert.equal(schemaVersion(db), version - 1);
+  }
+  assert.throws(() => rollback(db), /cannot be rolled back/);
+  assert.equal(schemaVersion(db), 1);
+
+  // One step up at a time, held at each version on the way
+  for (let version = 2; version < LATEST_VERSION; version++) {
+    migrate(db, { to: version });
+    assert.equal(schemaVersion(db), version);
+    assert.equal(migrationStatus(db).held, true);
+  }
+  migrate(db);
+  assert.equal(schemaVersion(db), LATEST_VERSION);
+  assert.equal(migrationStatus(db).held, false);
+  assert.deepEqual(schema(db), original);
+});
+
+test("a rollback that drops data needs force", () => {
+  const db = getDb();
+  insertJob({ id: "handled", handler: "email", payload: { to: "a@example.com" } });
+
+  // 011 drops jobs.handler and jobs.payload and 012 jobs.change_seq, all set on this job
+  assert.throws(
+    () => rollback(db, { to: 10 }),
+    /jobs\.handler \(1 rows\), jobs\.payload \(1 rows\), jobs\.change_seq \(1 rows\); pass --force/
+  );
+  assert.equal(schemaVersion(db), LATEST_VERSION);
+  assert.equal(db.prepare("SELECT payload FROM jobs WHERE id = 'handled'").get().payload, '{"to":"a@example.com"}');
+
+  // Columns left at NULL or their default hold nothing to lose
+  assert.deepEqual(
+    rollback(db).map((m) => m.version),
+    [LATEST_VERSION]
+  );
+
+  rollback(db, { to: 10, force: true });
+  assert.equal(schemaVersion(db), 10);
+  migrate(db);
+  assert.equal(db.prepare("SELECT payload FROM jobs WHERE id = 'handled'").get().payload, null);
+});
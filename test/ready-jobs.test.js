@@ -0,0 +1,40 @@
+const test = require("node:test");
+const assert = require("assert/strict");
+const { useTempInstance } = require("./helpers");
+
+useTempInstance();
+const { getDb } = require("../src/db/database");
+const { insertJob, readyJobStats } = require("../src/storage/jobs");
+const { setConfig } = require("../src/storage/config");
+
+function enqueue(count, fields) {
+  for (let i = 0; i < count; i++) insertJob({ command: "true", ...fields });
+}
+
+test("every due shell command job is ready without limits", () => {
+  enqueue(3, { queue: "free" });
+  enqueue(1, { queue: "free", run_after: new Date(Date.now() + 60000).toISOString() });
+  assert.equal(readyJobStats(["free"]).ready, 3);
+});
+
+test("a concurrency key contributes only the jobs its limit still admits", () => {
+  setConfig("concurrency-limit.api", "2");
+  enqueue(10, { queue: "keyed", concurrency_key: "api" });
+  assert.equal(readyJobStats(["keyed"]).ready, 2);
+
+  getDb().prepare("UPDATE jobs SET state = 'processing' WHERE id IN (SELECT id FROM jobs WHERE queue = 'keyed' LIMIT 2)").run();
+  assert.deepEqual(readyJobStats(["keyed"]), { ready: 0, oldest_run_after: null });
+});
+
+test("a queue concurrency limit caps its queue", () => {
+  setConfig("queue-concurrency.capped", "1");
+  enqueue(4, { queue: "capped" });
+  assert.equal(readyJobStats(["capped"]).ready, 1);
+});
+
+test("a rate limit contributes only its whole tokens", () => {
+  setConfig("rate-limit.queue.rated", "3/h");
+  enqueue(5, { queue: "rated" });
+  assert.equal(readyJobStats(["rated"]).ready, 3);
+  assert.equal(readyJobStats(["free", "capped", "rated"]).ready, 7);
+});
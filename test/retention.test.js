@@ -0,0 +1,63 @@
+const test = require("node:test");
+const assert = require("assert/strict");
+const { useTempInstance } = require("./helpers");
+
+useTempInstance();
+const { getDb } = require("../src/db/database");
+const { insertJob } = require("../src/storage/jobs");
+const { selectGarbage } = require("../src/storage/retention");
+
+const NOW = new Date("2026-01-31T00:00:00.000Z");
+const DAY = 86400;
+
+// A finished job last updated `days` before NOW
+function finished(id, state, days, fields = {}) {
+  insertJob({ id, command: "true", ...fields });
+  const updatedAt = new Date(NOW.getTime() - days * DAY * 1000).toISOString();
+  getDb().prepare("UPDATE jobs SET state = ?, updated_at = ? WHERE id = ?").run(state, updatedAt, id);
+}
+
+test.before(() => {
+  finished("c-old-1", "completed", 10);
+  finished("c-old-2", "completed", 9);
+  finished("c-old-3", "completed", 8);
+  finished("c-new", "completed", 1);
+  finished("d-old", "dead", 40);
+  finished("d-new", "dead", 2);
+});
+
+// selectGarbage() with ids sorted, as it returns them in no particular order
+function select(policy) {
+  const garbage = selectGarbage(getDb(), { completedOlderThan: null, deadOlderThan: null, keepLast: null, ...policy }, NOW);
+  for (const ids of Object.values(garbage)) ids.sort();
+  return garbage;
+}
+
+test("each state is collected past its own age", () => {
+  assert.deepEqual(select({ completedOlderThan: 7 * DAY }), { completed: ["c-old-1", "c-old-2", "c-old-3"] });
+  assert.deepEqual(select({ deadOlderThan: 30 * DAY }), { dead: ["d-old"] });
+  assert.deepEqual(select({ completedOlderThan: 9.5 * DAY, deadOlderThan: DAY }), {
+    completed: ["c-old-1"],
+    dead: ["d-new", "d-old"],
+  });
+});
+
+test("keepLast protects the newest jobs of each state", () => {
+  assert.deepEqual(select({ completedOlderThan: 7 * DAY, deadOlderThan: DAY, keepLast: 2 }), {
+    completed: ["c-old-1", "c-old-2"],
+    dead: [],
+  });
+});
+
+test("keepLast alone collects nothing", () => {
+  assert.deepEqual(select({ keepLast: 0 }), {});
+  assert.deepEqual(select({ completedOlderThan: 7 * DAY, keepLast: 1 }), {
+    completed: ["c-old-1", "c-old-2", "c-old-3"],
+  });
+});
+
+test("a job that an unfinished job depends on is kept", () => {
+  finished("parent", "completed", 20);
+  insertJob({ id: "waiting", command: "true", depends_on: ["c-old-3"] });
+  assert.deepEqual(select({ completedOlderThan: 7 * DAY }).completed, ["c-old-1", "c-old-2", "parent"]);
+});
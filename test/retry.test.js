@@ -0,0 +1,76 @@
+const test = require("node:test");
+const assert = require("assert/strict");
+const { retryDelaySeconds, nonRetryableReason, parseExitCodes, isExitCode } = require("../src/utils/retry");
+
+// The delays of attempts 1..4 under `options`
+function delays(options, random) {
+  return [1, 2, 3, 4].map((attempts) => retryDelaySeconds({ max_delay: 0, ...options }, attempts, random));
+}
+
+test("each policy grows the delay with the attempts", () => {
+  assert.deepEqual(delays({ retry_policy: "fixed", backoff: 5 }), [5, 5, 5, 5]);
+  assert.deepEqual(delays({ retry_policy: "linear", backoff: 5 }), [5, 10, 15, 20]);
+  assert.deepEqual(delays({ retry_policy: "exponential", backoff: 2 }), [2, 4, 8, 16]);
+  assert.deepEqual(delays({ retry_policy: "exponential", backoff: 1.5 }), [1.5, 2.25, 3.375, 5.063]);
+});
+
+test("jitter picks between 0 and the exponential delay", () => {
+  const options = { retry_policy: "exponential-jitter", backoff: 2 };
+  assert.deepEqual(delays(options, () => 0), [0, 0, 0, 0]);
+  assert.deepEqual(delays(options, () => 0.5), [1, 2, 4, 8]);
+  assert.deepEqual(delays(options, () => 0.9999), [2, 4, 7.999, 15.998]);
+});
+
+test("max_delay caps every policy, 0 means no cap", () => {
+  assert.deepEqual(delays({ retry_policy: "exponential", backoff: 3, max_delay: 10 }), [3, 9, 10, 10]);
+  assert.deepEqual(delays({ retry_policy: "linear", backoff: 4, max_delay: 10 }), [4, 8, 10, 10]);
+  assert.deepEqual(delays({ retry_policy: "exponential-jitter", backoff: 10, max_delay: 50 }, () => 1), [10, 50, 50, 50]);
+  assert.deepEqual(delays({ retry_policy: "exponential", backoff: 10, max_delay: 0 }), [10, 100, 1000, 10000]);
+});
+
+test("an unknown policy is an error", () => {
+  assert.throws(() => retryDelaySeconds({ retry_policy: "random", backoff: 2, max_delay: 0 }, 1), /Unknown retry policy/);
+});
+
+test("failures are retryable unless an option rules them out", () => {
+  const options = { retry_on_timeout: true, retry_on: [], no_retry_on: [] };
+  assert.equal(nonRetryableReason(options, { code: 1, timedOut: false }), null);
+  assert.equal(nonRetryableReason(options, { code: null, timedOut: true }), null);
+
+  assert.equal(
+    nonRetryableReason({ ...options, retry_on_timeout: false }, { code: null, timedOut: true }),
+    "timeouts are not retried"
+  );
+  assert.equal(
+    nonRetryableReason({ ...options, no_retry_on: [2, 64] }, { code: 64, timedOut: false }),
+    "exit code 64 is not retryable"
+  );
+  assert.equal(
+    nonRetryableReason({ ...options, retry_on: [75, 111] }, { code: 1, timedOut: false }),
+    "exit code 1 is not in retry_on (75, 111)"
+  );
+  assert.equal(nonRetryableReason({ ...options, retry_on: [75, 111] }, { code: 75, timedOut: false }), null);
+  // no_retry_on wins over retry_on
+  assert.equal(
+    nonRetryableReason({ ...options, retry_on: [75], no_retry_on: [75] }, { code: 75, timedOut: false }),
+    "exit code 75 is not retryable"
+  );
+});
+
+test("exit code lists parse from config text", () => {
+  assert.deepEqual(parseExitCodes(""), []);
+  assert.deepEqual(parseExitCodes(null), []);
+  assert.deepEqual(parseExitCodes("2,64, 78 ,"), [2, 64, 78]);
+  for (const value of ["256", "-1", "1.5", "x"]) {
+    assert.throws(() => parseExitCodes(value), /Invalid exit code/, value);
+  }
+});
+
+test("exit codes are integers from 0 to 255", () => {
+  assert.ok(isExitCode(0));
+  assert.ok(isExitCode(255));
+  assert.ok(!isExitCode(256));
+  assert.ok(!isExitCode(-1));
+  assert.ok(!isExitCode(1.5));
+  assert.ok(!isExitCode("1"));
+});
@@ -0,0 +1,58 @@
+const test = require("node:test");
+const assert = require("assert/strict");
+const { useTempInstance } = require("./helpers");
+
+useTempInstance();
+const { getDb } = require("../src/db/database");
+const { addSchedule, getSchedule } = require("../src/storage/schedules");
+const { fireSchedule } = require("../src/worker/scheduler");
+
+const at = (y, mo, d, h = 0, mi = 0) => new Date(y, mo - 1, d, h, mi);
+
+// A schedule last due at `due`
+function schedule(cron, job, due, options = {}) {
+  const { id } = addSchedule({ cron, job, ...options });
+  getDb().prepare("UPDATE schedules SET next_run_at = ? WHERE id = ?").run(due.toISOString(), id);
+  return getSchedule(id);
+}
+
+const jobsOf = (id) => getDb().prepare("SELECT COUNT(*) FROM jobs WHERE command = ?").pluck().get(id);
+
+test("'skip' runs only the latest missed slot and jumps to the next one", () => {
+  const s = schedule("*/5 * * * *", { command: "skip-policy" }, at(2026, 1, 1));
+  const result = fireSchedule(getDb(), s, at(2026, 3, 1, 10, 7));
+  assert.equal(result.enqueued.length, 1);
+  const after = getSchedule(s.id);
+  assert.equal(after.last_run_at, at(2026, 3, 1, 10, 5).toISOString());
+  assert.equal(after.next_run_at, at(2026, 3, 1, 10, 10).toISOString());
+});
+
+test("'catchup' runs each missed slot, up to its cap", () => {
+  const s = schedule("0 * * * *", { command: "catchup-policy" }, at(2026, 3, 1, 6), { missed_policy: "catchup" });
+  assert.equal(fireSchedule(getDb(), s, at(2026, 3, 1, 9, 30)).enqueued.length, 4);
+  assert.equal(getSchedule(s.id).next_run_at, at(2026, 3, 1, 10).toISOString());
+
+  const late = schedule("* * * * *", { command: "capped" }, at(2026, 1, 1), { missed_policy: "catchup" });
+  assert.equal(fireSchedule(getDb(), late, at(2026, 3, 1)).enqueued.length, 100);
+  assert.equal(getSchedule(late.id).next_run_at, at(2026, 3, 1, 0, 1).toISOString());
+});
+
+test("a template that no longer validates is recorded and the schedule moves on", () => {
+  const s = schedule("0 * * * *", { command: "broken" }, at(2026, 3, 1, 6));
+  const setTemplate = (job) =>
+    getDb().prepare("UPDATE schedules SET job_json = ? WHERE id = ?").run(JSON.stringify(job), s.id);
+  setTemplate({ command: "broken", max_retries: -1 });
+
+  const result = fireSchedule(getDb(), getSchedule(s.id), at(2026, 3, 1, 6, 1));
+  assert.equal(result.claimed, true);
+  assert.deepEqual(result.enqueued, []);
+  assert.match(result.error, /max_retries/);
+  const after = getSchedule(s.id);
+  assert.match(after.last_error, /max_retries/);
+  assert.equal(after.next_run_at, at(2026, 3, 1, 7).toISOString());
+  assert.equal(jobsOf("broken"), 0);
+
+  setTemplate({ command: "broken" });
+  assert.equal(fireSchedule(getDb(), getSchedule(s.id), at(2026, 3, 1, 7)).enqueued.length, 1);
+  assert.equal(getSchedule(s.id).last_error, null);
+});
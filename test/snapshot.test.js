@@ -0,0 +1,96 @@
+const test = require("node:test");
+const assert = require("assert/strict");
+const path = require("path");
+const Database = require("better-sqlite3");
+const { useTempInstance } = require("./helpers");
+
+const home = useTempInstance();
+const { getDb } = require("../src/db/database");
+const { insertJob } = require("../src/storage/jobs");
+const { recordAttempt } = require("../src/storage/attempts");
+const { setConfig } = require("../src/storage/config");
+const { addSchedule } = require("../src/storage/schedules");
+const { setMeta } = require("../src/storage/meta");
+const { exportSnapshot, importSnapshot } = require("../src/storage/snapshot");
+
+// What a snapshot carries, as it is in `db`. Attempt ids and change_seq are
+// numbered again by the database a snapshot is imported into.
+function contents(db) {
+  const rows = (sql) => db.prepare(sql).all();
+  return {
+    jobs: rows("SELECT * FROM jobs ORDER BY id").map(({ change_seq, ...job }) => job),
+    dependencies: rows("SELECT * FROM job_dependencies ORDER BY job_id, depends_on"),
+    attempts: rows("SELECT * FROM job_attempts ORDER BY job_id, attempt").map(({ id, ...attempt }) => attempt),
+    config: rows("SELECT * FROM config ORDER BY key"),
+    schedules: rows("SELECT * FROM schedules ORDER BY id"),
+  };
+}
+
+function clear(db) {
+  db.exec("DELETE FROM job_dependencies; DELETE FROM job_attempts; DELETE FROM jobs; DELETE FROM config; DELETE FROM schedules;");
+}
+
+let original;
+
+test.before(() => {
+  const db = getDb();
+  insertJob({ id: "parent", command: "echo parent", priority: 5 });
+  insertJob({ id: "child", command: "echo child", depends_on: ["parent"] });
+  insertJob({ id: "handled", handler: "email", payload: { to: "a@example.com" } });
+  db.prepare("UPDATE jobs SET state = 'completed', attempts = 1 WHERE id = 'parent'").run();
+  recordAttempt(db, {
+    job_id: "parent",
+    attempt: 1,
+    started_at: "2026-01-01T00:00:00.000Z",
+    finished_at: "2026-01-01T00:00:01.000Z",
+    exit_code: 0,
+    outcome: "completed",
+    stdout: "parent\n",
+  });
+  setConfig("max-retries", "5");
+  addSchedule({ cron: "*/5 * * * *", job: { command: "echo tick" } });
+  // State of this host, not of the queue
+  setMeta("autoscale.host.123", JSON.stringify({ manager_pid: 123 }));
+  setMeta("retention.last_run_at", "2026-01-01T00:00:00.000Z");
+  original = contents(db);
+});
+
+test("a JSONL snapshot imports back as it was", () => {
+  const file = path.join(home, "snapshot.jsonl");
+  assert.deepEqual(exportSnapshot({ file }), { job: 3, dependency: 1, attempt: 1, config: 1, schedule: 1 });
+
+  const db = getDb();
+  clear(db);
+  const summary = importSnapshot(file);
+  assert.equal(summary.job.imported, 3);
+  assert.deepEqual(contents(db), original);
+
+  // Importing again finds everything already here
+  assert.equal(importSnapshot(file).job.skipped, 3);
+  assert.deepEqual(contents(db), original);
+});
+
+test("a SQLite snapshot imports back as it was, without the host's state", () => {
+  const file = path.join(home, "snapshot.sqlite3");
+  exportSnapshot({ file, format: "sqlite" });
+
+  const copy = new Database(file, { readonly: true });
+  try {
+    const keys = copy.prepare("SELECT key FROM meta ORDER BY key").all().map((r) => r.key);
+    assert.ok(keys.includes("schema.version"));
+    assert.ok(keys.includes("jobs.change_seq"));
+    assert.deepEqual(
+      keys.filter((k) => k.startsWith("autoscale.") || k.startsWith("retention.")),
+      []
+    );
+    assert.equal(copy.prepare("SELECT value FROM meta WHERE key = 'config.version'").get().value, "0");
+    assert.deepEqual(contents(copy), original);
+  } finally {
+    copy.close();
+  }
+
+  const db = getDb();
+  clear(db);
+  importSnapshot(file);
+  assert.deepEqual(contents(db), original);
+});
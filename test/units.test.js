@@ -0,0 +1,27 @@
+const test = require("node:test");
+const assert = require("assert/strict");
+const { parseDuration, formatBytes } = require("../src/utils/units");
+
+test("durations parse to seconds", () => {
+  assert.equal(parseDuration("90"), 90);
+  assert.equal(parseDuration("90s"), 90);
+  assert.equal(parseDuration("30m"), 1800);
+  assert.equal(parseDuration("12h"), 43200);
+  assert.equal(parseDuration(" 7D "), 604800);
+  assert.equal(parseDuration("2w"), 1209600);
+  assert.equal(parseDuration("1.5h"), 5400);
+});
+
+test("anything else is rejected", () => {
+  for (const value of ["", "h", "-1d", "7 days", "1y", "1h30m"]) {
+    assert.throws(() => parseDuration(value), /Invalid duration/, value);
+  }
+});
+
+test("byte sizes are formatted in the largest fitting unit", () => {
+  assert.equal(formatBytes(0), "0 B");
+  assert.equal(formatBytes(1023), "1023 B");
+  assert.equal(formatBytes(1536), "1.5 KB");
+  assert.equal(formatBytes(5 * 1024 * 1024), "5.0 MB");
+  assert.equal(formatBytes(3 * 1024 ** 4), "3072.0 GB");
+});